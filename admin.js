@@ -0,0 +1,275 @@
+/**
+ * Admin Panel - edits the JSON configs through admin.php
+ * Purpose: Draft, preview and publish catalog/providers/curation/banners/platforms,
+ * and upload or move provider thumbnails
+ */
+
+// ============================================
+// API
+// ============================================
+
+let csrfToken = null;
+
+/**
+ * Calls an admin.php action and returns the parsed response
+ * @param {string} action - ?action= value
+ * @param {Object} [options]
+ * @param {string} [options.file] - Config file for load/save/discard
+ * @param {*} [options.json] - Body sent as JSON (POST)
+ * @param {FormData} [options.form] - Body sent as multipart (POST)
+ * @throws {Error} With the server's error message and `details` list
+ */
+async function adminRequest(action, { file, json, form } = {}) {
+    const params = new URLSearchParams({ action });
+    if (file) params.set('file', file);
+
+    const init = { credentials: 'same-origin', headers: {} };
+    if (json !== undefined || form) {
+        init.method = 'POST';
+        init.headers['X-CSRF-Token'] = csrfToken || '';
+        if (form) {
+            init.body = form;
+        } else {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = typeof json === 'string' ? json : JSON.stringify(json);
+        }
+    }
+
+    const response = await fetch(`admin.php?${params}`, init);
+    const data = await response.json().catch(() => ({ success: false, error: `HTTP ${response.status}` }));
+
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.error || `HTTP ${response.status}`);
+        error.details = data.details || [];
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Shows a message in a .status element
+ */
+function showStatus(id, message, type) {
+    const element = document.getElementById(id);
+    element.textContent = message;
+    element.className = `status ${type || ''}`;
+}
+
+function showError(id, error) {
+    showStatus(id, [`❌ ${error.message}`, ...(error.details || []).map(detail => `• ${detail}`)].join('\n'), 'error');
+}
+
+// ============================================
+// LOGIN
+// ============================================
+
+/**
+ * Shows the login form or the panel for the current session
+ */
+async function checkSession() {
+    try {
+        const session = await adminRequest('session');
+        csrfToken = session.csrfToken;
+        showPanel(session.loggedIn);
+    } catch (error) {
+        showPanel(false);
+        showError('loginStatus', error);
+    }
+}
+
+function showPanel(loggedIn) {
+    document.getElementById('loginForm').hidden = loggedIn;
+    document.getElementById('adminPanel').hidden = !loggedIn;
+
+    if (loggedIn) {
+        loadConfig();
+        loadImages();
+        reloadPreview();
+    }
+}
+
+function setupLogin() {
+    document.getElementById('loginForm').addEventListener('submit', async event => {
+        event.preventDefault();
+        const password = document.getElementById('loginPassword');
+
+        try {
+            const session = await adminRequest('login', { json: { password: password.value } });
+            csrfToken = session.csrfToken;
+            password.value = '';
+            showStatus('loginStatus', '');
+            showPanel(true);
+        } catch (error) {
+            showError('loginStatus', error);
+        }
+    });
+
+    document.getElementById('logoutBtn').addEventListener('click', async () => {
+        await adminRequest('logout', { json: {} }).catch(() => null);
+        csrfToken = null;
+        showPanel(false);
+    });
+}
+
+// ============================================
+// CONFIG EDITOR
+// ============================================
+
+function getSelectedFile() {
+    return document.getElementById('configFile').value;
+}
+
+function setDraftBadge(hasDraft) {
+    document.getElementById('draftBadge').hidden = !hasDraft;
+}
+
+/**
+ * Loads the selected file (its draft when there is one) into the editor
+ */
+async function loadConfig() {
+    const file = getSelectedFile();
+    try {
+        const data = await adminRequest('load', { file });
+        document.getElementById('configEditor').value = JSON.stringify(data.content, null, 4);
+        setDraftBadge(data.hasDraft);
+        showStatus('configStatus', '');
+    } catch (error) {
+        showError('configStatus', error);
+    }
+}
+
+function setupConfigEditor() {
+    document.getElementById('configFile').addEventListener('change', loadConfig);
+
+    document.getElementById('saveDraftBtn').addEventListener('click', async () => {
+        const file = getSelectedFile();
+        const text = document.getElementById('configEditor').value;
+
+        // Catch syntax errors here, the server reports the structural ones
+        try {
+            JSON.parse(text);
+        } catch (error) {
+            showStatus('configStatus', `❌ JSON inválido: ${error.message}`, 'error');
+            return;
+        }
+
+        try {
+            await adminRequest('save', { file, json: text });
+            setDraftBadge(true);
+            showStatus('configStatus', `✅ Rascunho de ${file} salvo`, 'ok');
+            reloadPreview();
+        } catch (error) {
+            showError('configStatus', error);
+        }
+    });
+
+    document.getElementById('discardDraftBtn').addEventListener('click', async () => {
+        const file = getSelectedFile();
+        try {
+            await adminRequest('discard', { file, json: {} });
+            await loadConfig();
+            showStatus('configStatus', `🗑️ Rascunho de ${file} descartado`, 'ok');
+            reloadPreview();
+        } catch (error) {
+            showError('configStatus', error);
+        }
+    });
+}
+
+// ============================================
+// PREVIEW & PUBLISH
+// ============================================
+
+/**
+ * Reloads the site with ?preview=1 so it reads the drafts
+ */
+function reloadPreview() {
+    document.getElementById('previewFrame').src = `index.html?preview=1&t=${Date.now()}`;
+}
+
+function setupPublish() {
+    document.getElementById('reloadPreviewBtn').addEventListener('click', reloadPreview);
+
+    document.getElementById('publishBtn').addEventListener('click', async () => {
+        if (!confirm('Publicar todos os rascunhos no site?')) return;
+
+        try {
+            const result = await adminRequest('publish', { json: {} });
+            showStatus('publishStatus', result.published.length
+                ? `✅ Publicado: ${result.published.join(', ')}`
+                : 'Nenhum rascunho para publicar', 'ok');
+            setDraftBadge(false);
+            reloadPreview();
+        } catch (error) {
+            showError('publishStatus', error);
+        }
+    });
+}
+
+// ============================================
+// THUMBNAILS
+// ============================================
+
+/**
+ * Fills the upload/move selects from the images currently on the server
+ */
+async function loadImages() {
+    try {
+        const { providers } = await adminRequest('images');
+        const folders = Object.keys(providers);
+        const providerOptions = folders.map(folder => new Option(folder, folder));
+
+        document.getElementById('uploadProvider').replaceChildren(...providerOptions);
+        document.getElementById('moveProvider').replaceChildren(...providerOptions.map(option => option.cloneNode(true)));
+        document.getElementById('moveImage').replaceChildren(...folders.flatMap(folder =>
+            providers[folder].map(name => new Option(`${folder}/${name}`, `${folder}/${name}`))
+        ));
+    } catch (error) {
+        showError('imageStatus', error);
+    }
+}
+
+function setupImageForms() {
+    document.getElementById('uploadForm').addEventListener('submit', async event => {
+        event.preventDefault();
+        const form = new FormData();
+        form.append('provider', document.getElementById('uploadProvider').value);
+        form.append('image', document.getElementById('uploadFile').files[0]);
+
+        try {
+            const { image } = await adminRequest('upload', { form });
+            showStatus('imageStatus', `✅ ${image.provider}/${image.name} (${image.width}×${image.height})`, 'ok');
+            event.target.reset();
+            loadImages();
+            reloadPreview();
+        } catch (error) {
+            showError('imageStatus', error);
+        }
+    });
+
+    document.getElementById('moveForm').addEventListener('submit', async event => {
+        event.preventDefault();
+        const image = document.getElementById('moveImage').value;
+        const provider = document.getElementById('moveProvider').value;
+
+        try {
+            const result = await adminRequest('move', { json: { image, provider } });
+            showStatus('imageStatus', `✅ ${image} → ${result.image.provider}/${result.image.name}`, 'ok');
+            loadImages();
+            reloadPreview();
+        } catch (error) {
+            showError('imageStatus', error);
+        }
+    });
+}
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+setupLogin();
+setupConfigEditor();
+setupPublish();
+setupImageForms();
+checkSession();
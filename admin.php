@@ -0,0 +1,748 @@
+<?php
+/**
+ * Admin API - edits the JSON configs and provider thumbnails (used by admin.html)
+ *
+ * Enable it by setting ADMIN_PASSWORD_HASH in the server environment (Apache: SetEnv), e.g.
+ *   php -r "echo password_hash('my-password', PASSWORD_DEFAULT);"
+ * Without it every request gets a 403. Serve it over HTTPS.
+ *
+ * .admin-data/ gets an .htaccess deny for Apache; other servers must block it themselves.
+ *
+ * Config edits are saved as drafts in .admin-data/drafts/ and only replace the live
+ * files on publish (the previous version is kept in .admin-data/backups/).
+ * index.html?preview=1 reads the drafts through ?action=draft (and get_images.php?preview=1
+ * lists the providers of the draft providers.json).
+ * Uploaded and moved thumbnails go live immediately, like copying them into images/, and
+ * provider_image_lists.js is rewritten to match. A move also updates the catalog.json and
+ * curation.json references (live and drafts).
+ *
+ * Actions (?action=):
+ *   GET  session                    { loggedIn, csrfToken? }
+ *   POST login     { password }     429 after LOGIN_MAX_FAILURES failures from one IP
+ *   POST logout
+ *   GET  load      &file=           { content, hasDraft }
+ *   POST save      &file=           JSON body, validated and stored as a draft
+ *   POST discard   &file=           Drops the draft
+ *   GET  draft     &file=           Raw draft (or live file) for the preview
+ *   POST publish                    Publishes all drafts
+ *   GET  images                     { providers: { folder: [names] } }
+ *   POST upload    provider, image  Multipart thumbnail upload into images/<provider>/
+ *   POST move      { image: "provider/name", provider }
+ *
+ * POST requests need the X-CSRF-Token header from login/session.
+ */
+
+header('Content-Type: application/json');
+header('Cache-Control: no-store');
+
+$rootDir = __DIR__;
+$imagesDir = $rootDir . '/images';
+$dataDir = $rootDir . '/.admin-data';
+
+// Editable config files and their validators
+const ADMIN_FILES = [
+    'catalog.json' => 'validateCatalog',
+    'providers.json' => 'validateProviders',
+    'curation.json' => 'validateCuration',
+    'banners.json' => 'validateBanners',
+    'platforms.json' => 'validatePlatforms'
+];
+
+const IMAGE_TYPES = [
+    IMAGETYPE_JPEG => 'jpg',
+    IMAGETYPE_PNG => 'png',
+    IMAGETYPE_WEBP => 'webp',
+    IMAGETYPE_GIF => 'gif'
+];
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+// Failed logins allowed per IP before it is locked out for LOGIN_LOCKOUT_SECONDS
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_SECONDS = 15 * 60;
+
+/**
+ * Sends a JSON response and stops
+ */
+function sendJson($data, $status = 200) {
+    http_response_code($status);
+    echo json_encode($data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    exit;
+}
+
+/**
+ * Sends a JSON error response and stops
+ */
+function sendError($status, $message, $details = null) {
+    $body = ['success' => false, 'error' => $message];
+    if ($details) {
+        $body['details'] = $details;
+    }
+    sendJson($body, $status);
+}
+
+// ============================================
+// VALIDATION (one function per config file, returns a list of problems)
+// ============================================
+
+function isList($value) {
+    return is_array($value) && array_values($value) === $value;
+}
+
+function isObject($value) {
+    return is_array($value) && ($value === [] || !isList($value));
+}
+
+function validateCatalog($data) {
+    $errors = [];
+    if (!isObject($data)) {
+        return ['catalog.json must be an object keyed by game slug'];
+    }
+    foreach ($data as $slug => $game) {
+        if (!preg_match('/^[a-z0-9]+(-[a-z0-9]+)*$/', (string) $slug)) {
+            $errors[] = "\"$slug\": slug must be lowercase words joined by -";
+        }
+        foreach (['title', 'provider', 'image'] as $field) {
+            if (!isset($game[$field]) || !is_string($game[$field]) || $game[$field] === '') {
+                $errors[] = "\"$slug\": missing $field";
+            }
+        }
+        if (isset($game['rtp']) && !is_numeric($game['rtp'])) {
+            $errors[] = "\"$slug\": rtp must be a number or null";
+        }
+        if (isset($game['volatility']) && !in_array($game['volatility'], ['low', 'medium', 'high'], true)) {
+            $errors[] = "\"$slug\": volatility must be low, medium or high";
+        }
+        if (isset($game['tags']) && !isList($game['tags'])) {
+            $errors[] = "\"$slug\": tags must be a list";
+        }
+    }
+    return $errors;
+}
+
+function validateProviders($data) {
+    if (!isset($data['providers']) || !isList($data['providers'])) {
+        return ['providers.json needs a "providers" list'];
+    }
+    $errors = [];
+    $folders = [];
+    foreach ($data['providers'] as $i => $entry) {
+        $folder = isset($entry['folder']) ? $entry['folder'] : '';
+        if (!is_string($folder) || $folder === '' || strpbrk($folder, '/\\') !== false || $folder[0] === '.') {
+            $errors[] = "providers[$i]: folder must be a plain folder name";
+        } elseif (in_array($folder, $folders, true)) {
+            $errors[] = "providers[$i]: duplicate folder \"$folder\"";
+        }
+        $folders[] = $folder;
+        if (empty($entry['displayName'])) {
+            $errors[] = "providers[$i]: missing displayName";
+        }
+    }
+    return $errors;
+}
+
+function validateCuration($data) {
+    if (!isObject($data)) {
+        return ['curation.json must be an object'];
+    }
+    $errors = [];
+    if (isset($data['pinned'])) {
+        if (!isList($data['pinned'])) {
+            $errors[] = 'pinned must be a list';
+        } else {
+            foreach ($data['pinned'] as $i => $pin) {
+                if (empty($pin['game']) || !isset($pin['position']) || !is_int($pin['position']) || $pin['position'] < 1) {
+                    $errors[] = "pinned[$i]: needs a game slug and a position from 1";
+                }
+            }
+        }
+    }
+    if (isset($data['hidden']) && !isList($data['hidden'])) {
+        $errors[] = 'hidden must be a list of game slugs';
+    }
+    if (isset($data['providerOrder']) && !isObject($data['providerOrder'])) {
+        $errors[] = 'providerOrder must map provider folders to lists of game slugs';
+    }
+    return $errors;
+}
+
+function validateBanners($data) {
+    if (!isset($data['banners']) || !isList($data['banners'])) {
+        return ['banners.json needs a "banners" list'];
+    }
+    $errors = [];
+    foreach ($data['banners'] as $i => $banner) {
+        if (empty($banner['image']) || !is_string($banner['image'])) {
+            $errors[] = "banners[$i]: missing image";
+        }
+    }
+    return $errors;
+}
+
+/**
+ * Checks the openIn / params link settings of platforms.json or one of its platforms
+ */
+function validateLinkSettings($source, $label) {
+    $errors = [];
+    if (isset($source['openIn']) && !in_array($source['openIn'], ['new-tab', 'same-tab'], true)) {
+        $errors[] = "$label: openIn must be new-tab or same-tab";
+    }
+    if (isset($source['params'])) {
+        $valid = isObject($source['params']);
+        foreach ($valid ? $source['params'] : [] as $value) {
+            $valid = $valid && (is_string($value) || is_int($value) || is_float($value));
+        }
+        if (!$valid) {
+            $errors[] = "$label: params must map parameter names to text or numbers";
+        }
+    }
+    return $errors;
+}
+
+function validatePlatforms($data) {
+    if (!isset($data['platforms']) || !isList($data['platforms'])) {
+        return ['platforms.json needs a "platforms" list'];
+    }
+    $errors = validateLinkSettings($data, 'platforms.json');
+    foreach ($data['platforms'] as $i => $platform) {
+        $errors = array_merge($errors, validateLinkSettings($platform, "platforms[$i]"));
+        if (empty($platform['name'])) {
+            $errors[] = "platforms[$i]: missing name";
+        }
+        if (empty($platform['url']) || !is_string($platform['url']) || !preg_match('#^https?://#i', $platform['url'])) {
+            $errors[] = "platforms[$i]: url must start with http:// or https://";
+        }
+        if (isset($platform['gameUrl']) && (!is_string($platform['gameUrl']) || strpos($platform['gameUrl'], '{slug}') === false)) {
+            $errors[] = "platforms[$i]: gameUrl must be a URL template containing {slug}";
+        }
+        if (isset($platform['enabled']) && !is_bool($platform['enabled'])) {
+            $errors[] = "platforms[$i]: enabled must be true or false";
+        }
+        if (isset($platform['order']) && !is_int($platform['order']) && !is_float($platform['order'])) {
+            $errors[] = "platforms[$i]: order must be a number";
+        }
+        if (isset($platform['weight']) && (!is_numeric($platform['weight']) || is_string($platform['weight']) || $platform['weight'] < 0)) {
+            $errors[] = "platforms[$i]: weight must be a number from 0";
+        }
+    }
+    return $errors;
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * Returns the requested config file name, or stops when it is not editable
+ */
+function requireConfigFile() {
+    $file = isset($_GET['file']) && is_string($_GET['file']) ? $_GET['file'] : '';
+    if (!array_key_exists($file, ADMIN_FILES)) {
+        sendError(400, 'Unknown config file: ' . $file);
+    }
+    return $file;
+}
+
+/**
+ * Creates .admin-data/<name>/ (denied to web clients on Apache)
+ */
+function dataPath($name) {
+    global $dataDir;
+    if (!is_dir($dataDir . '/' . $name)) {
+        mkdir($dataDir . '/' . $name, 0750, true);
+        file_put_contents($dataDir . '/.htaccess', "Require all denied\n");
+    }
+    return $dataDir . '/' . $name;
+}
+
+function draftPath($file) {
+    return dataPath('drafts') . '/' . $file;
+}
+
+/**
+ * Draft contents when one exists, the live file otherwise (raw JSON text)
+ */
+function readCurrentConfig($file) {
+    global $rootDir;
+    $draft = draftPath($file);
+    return is_file($draft) ? file_get_contents($draft) : @file_get_contents($rootDir . '/' . $file);
+}
+
+/**
+ * Writes a file through a temporary file + rename so readers never see half a file
+ */
+function writeAtomic($path, $contents) {
+    $tmp = $path . '.tmp-' . bin2hex(random_bytes(4));
+    if (file_put_contents($tmp, $contents) === false || !rename($tmp, $path)) {
+        @unlink($tmp);
+        sendError(500, 'Could not write ' . basename($path));
+    }
+}
+
+/**
+ * Provider folders from the current providers.json (draft included)
+ */
+function getProviderFolders() {
+    $manifest = json_decode(readCurrentConfig('providers.json'), true);
+    $folders = [];
+    foreach (isset($manifest['providers']) ? $manifest['providers'] : [] as $entry) {
+        if (!empty($entry['folder'])) {
+            $folders[] = $entry['folder'];
+        }
+    }
+    return $folders;
+}
+
+function requireProviderFolder($provider) {
+    if (!in_array($provider, getProviderFolders(), true)) {
+        sendError(404, 'Unknown provider: ' . $provider);
+    }
+    return $provider;
+}
+
+/**
+ * Safe filename for an upload: original name without odd characters, extension from the real image type.
+ * Dots become dashes so "x.php.jpg" can't reach a server that runs any file containing ".php".
+ */
+function sanitizeImageName($name, $type) {
+    $base = str_replace('.', '-', pathinfo($name, PATHINFO_FILENAME));
+    $base = preg_replace('/[^A-Za-z0-9 _()-]+/', '', $base);
+    $base = trim($base, ' -');
+    if ($base === '') {
+        $base = 'image-' . date('YmdHis');
+    }
+    return $base . '.' . IMAGE_TYPES[$type];
+}
+
+// ============================================
+// IMAGE LISTS & REFERENCES (kept in step with the images folder)
+// ============================================
+
+/**
+ * Rewrites provider_image_lists.js byte for byte like scripts/build-image-lists.js
+ * (enabled providers of the live providers.json, names sorted by code point)
+ */
+function writeImageLists() {
+    global $rootDir, $imagesDir;
+    $manifest = json_decode(file_get_contents($rootDir . '/providers.json'), true);
+    $lists = [];
+
+    foreach (isset($manifest['providers']) ? $manifest['providers'] : [] as $entry) {
+        if (empty($entry['folder']) || (isset($entry['enabled']) && $entry['enabled'] === false)) {
+            continue;
+        }
+        $folder = $entry['folder'];
+        $files = is_dir("$imagesDir/$folder") ? scandir("$imagesDir/$folder") : [];
+        $files = array_values(array_filter($files, function ($file) use ($imagesDir, $folder) {
+            return preg_match('/\.(jpg|jpeg|png|webp|gif)$/i', $file) && is_file("$imagesDir/$folder/$file");
+        }));
+        sort($files, SORT_STRING);
+        $lists[$folder] = $files;
+    }
+
+    $json = json_encode((object) $lists, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_LINE_TERMINATORS);
+    writeAtomic($rootDir . '/provider_image_lists.js', <<<JS
+/**
+ * Provider Image Lists
+ * Auto-generated from directory scanning
+ * DO NOT EDIT MANUALLY - Run `node scripts/build-image-lists.js` to update
+ */
+
+const PROVIDER_IMAGES = $json;
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.PROVIDER_IMAGES = PROVIDER_IMAGES;
+}
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PROVIDER_IMAGES;
+}
+
+JS
+    );
+}
+
+/**
+ * PHP port of slugify() in game-data.js. Accents need the intl extension, without it
+ * non-ASCII text can't be matched and the move is refused.
+ */
+function slugify($text) {
+    if (class_exists('Normalizer')) {
+        $text = preg_replace('/[\x{0300}-\x{036f}]/u', '', Normalizer::normalize($text, Normalizer::FORM_D));
+    } elseif (preg_match('/[^\x00-\x7F]/', $text)) {
+        sendError(500, "Can't derive the game slug of \"$text\" without the PHP intl extension");
+    }
+    return trim(preg_replace('/[^a-z0-9]+/', '-', strtolower($text)), '-');
+}
+
+/**
+ * PHP port of getGameSlug() in game-data.js: the catalog slug, or one derived from provider + file name
+ */
+function getGameSlug($catalog, $provider, $name) {
+    $slug = null;
+    foreach ($catalog as $key => $game) {
+        if (isset($game->provider, $game->image) && $game->provider === $provider && $game->image === $name) {
+            $slug = (string) $key; // Last entry wins, like GAME_DATA_BY_IMAGE
+        }
+    }
+    return $slug !== null ? $slug : slugify($provider) . '-' . slugify(preg_replace('/\.[^.]+$/', '', $name));
+}
+
+/**
+ * New contents of catalog.json / curation.json after moving an image, for the drafts and the live files.
+ * Catalog entries follow the image and keep their slug. Other games get a new derived slug, so their
+ * pins and hidden entries are renamed and they leave the old provider's providerOrder.
+ * @returns {array} path => JSON text, only for files that change
+ */
+function planMovedImageReferences($fromProvider, $provider, $name) {
+    global $rootDir;
+    $writes = [];
+
+    // Drafts first: a draft without its own catalog reads the live one, which must not be moved yet
+    $versions = [
+        [draftPath('catalog.json'), draftPath('curation.json')],
+        ["$rootDir/catalog.json", "$rootDir/curation.json"]
+    ];
+
+    foreach ($versions as list($catalogPath, $curationPath)) {
+        $catalog = json_decode(@file_get_contents(is_file($catalogPath) ? $catalogPath : "$rootDir/catalog.json"));
+        $curation = json_decode(@file_get_contents(is_file($curationPath) ? $curationPath : "$rootDir/curation.json"));
+        if (!is_object($catalog)) {
+            $catalog = new stdClass();
+        }
+
+        $oldSlug = getGameSlug($catalog, $fromProvider, $name);
+        $catalogChanged = false;
+        foreach ($catalog as $game) {
+            if (isset($game->provider, $game->image) && $game->provider === $fromProvider && $game->image === $name) {
+                $game->provider = $provider;
+                $catalogChanged = true;
+            }
+        }
+        $newSlug = getGameSlug($catalog, $provider, $name);
+
+        $curationChanged = false;
+        if (is_object($curation) && $oldSlug !== $newSlug) {
+            foreach (isset($curation->pinned) && is_array($curation->pinned) ? $curation->pinned : [] as $pin) {
+                if (isset($pin->game) && $pin->game === $oldSlug) {
+                    $pin->game = $newSlug;
+                    $curationChanged = true;
+                }
+            }
+            if (isset($curation->hidden) && is_array($curation->hidden) && in_array($oldSlug, $curation->hidden, true)) {
+                $curation->hidden = array_map(function ($slug) use ($oldSlug, $newSlug) {
+                    return $slug === $oldSlug ? $newSlug : $slug;
+                }, $curation->hidden);
+                $curationChanged = true;
+            }
+            $order = isset($curation->providerOrder->$fromProvider) ? $curation->providerOrder->$fromProvider : null;
+            if (is_array($order) && in_array($oldSlug, $order, true)) {
+                $curation->providerOrder->$fromProvider = array_values(array_diff($order, [$oldSlug]));
+                $curationChanged = true;
+            }
+        }
+
+        $flags = JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE;
+        if ($catalogChanged && is_file($catalogPath)) {
+            $writes[$catalogPath] = json_encode($catalog, $flags) . "\n";
+        }
+        if ($curationChanged && is_file($curationPath)) {
+            $writes[$curationPath] = json_encode($curation, $flags) . "\n";
+        }
+    }
+
+    return $writes;
+}
+
+// ============================================
+// LOGIN THROTTLING (.admin-data/login-attempts.json, keyed by IP)
+// ============================================
+
+/**
+ * Reads, changes and writes the attempts file under an exclusive lock
+ * @param {callable} $update - Gets the attempts by reference, its return value is passed through
+ */
+function withLoginAttempts($update) {
+    $handle = fopen(dataPath('') . 'login-attempts.json', 'c+');
+    if (!$handle || !flock($handle, LOCK_EX)) {
+        sendError(500, 'Could not read the login attempts');
+    }
+
+    $attempts = json_decode(stream_get_contents($handle), true);
+    $attempts = is_array($attempts) ? $attempts : [];
+
+    // Forget IPs whose last attempt is older than the lockout
+    $attempts = array_filter($attempts, function ($entry) {
+        return $entry['last'] > time() - LOGIN_LOCKOUT_SECONDS;
+    });
+
+    $result = $update($attempts);
+
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($attempts));
+    fflush($handle);
+    flock($handle, LOCK_UN);
+    fclose($handle);
+    return $result;
+}
+
+/**
+ * Counts a login attempt as failed before the password is checked, so parallel
+ * requests can't all get in under the limit. Stops with a 429 while the IP is locked out.
+ */
+function registerLoginAttempt($ip) {
+    $retryAfter = withLoginAttempts(function (&$attempts) use ($ip) {
+        $entry = isset($attempts[$ip]) ? $attempts[$ip] : ['failures' => 0, 'last' => 0];
+        if ($entry['failures'] >= LOGIN_MAX_FAILURES) {
+            return $entry['last'] + LOGIN_LOCKOUT_SECONDS - time();
+        }
+        $attempts[$ip] = ['failures' => $entry['failures'] + 1, 'last' => time()];
+        return 0;
+    });
+
+    if ($retryAfter > 0) {
+        header('Retry-After: ' . $retryAfter);
+        sendError(429, 'Too many failed logins, try again in ' . ceil($retryAfter / 60) . ' min');
+    }
+}
+
+function clearLoginAttempts($ip) {
+    withLoginAttempts(function (&$attempts) use ($ip) {
+        unset($attempts[$ip]);
+    });
+}
+
+// ============================================
+// SESSION & AUTH
+// ============================================
+
+$passwordHash = getenv('ADMIN_PASSWORD_HASH');
+if (!$passwordHash) {
+    sendError(403, 'Admin is disabled (set ADMIN_PASSWORD_HASH on the server)');
+}
+
+session_set_cookie_params([
+    'httponly' => true,
+    'samesite' => 'Strict',
+    'secure' => !empty($_SERVER['HTTPS'])
+]);
+session_name('rtppop_admin');
+session_start();
+
+$action = isset($_GET['action']) ? $_GET['action'] : '';
+$method = $_SERVER['REQUEST_METHOD'];
+$loggedIn = !empty($_SESSION['admin']);
+
+if ($action === 'session') {
+    sendJson([
+        'success' => true,
+        'loggedIn' => $loggedIn,
+        'csrfToken' => $loggedIn ? $_SESSION['csrf'] : null
+    ]);
+}
+
+if ($method === 'POST' && $action === 'login') {
+    $body = json_decode(file_get_contents('php://input'), true);
+    $password = isset($body['password']) ? (string) $body['password'] : '';
+    $ip = $_SERVER['REMOTE_ADDR'];
+
+    registerLoginAttempt($ip);
+    if (!password_verify($password, $passwordHash)) {
+        sleep(1); // Slow down guessing
+        sendError(401, 'Wrong password');
+    }
+    clearLoginAttempts($ip);
+
+    session_regenerate_id(true);
+    $_SESSION['admin'] = true;
+    $_SESSION['csrf'] = bin2hex(random_bytes(32));
+    sendJson(['success' => true, 'loggedIn' => true, 'csrfToken' => $_SESSION['csrf']]);
+}
+
+if (!$loggedIn) {
+    sendError(401, 'Not logged in');
+}
+
+if ($method === 'POST') {
+    $token = isset($_SERVER['HTTP_X_CSRF_TOKEN']) ? $_SERVER['HTTP_X_CSRF_TOKEN'] : '';
+    if (!hash_equals($_SESSION['csrf'], $token)) {
+        sendError(403, 'Invalid CSRF token');
+    }
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+switch ($method . ' ' . $action) {
+    case 'POST logout':
+        $_SESSION = [];
+        session_destroy();
+        sendJson(['success' => true, 'loggedIn' => false]);
+
+    case 'GET load':
+        $file = requireConfigFile();
+        sendJson([
+            'success' => true,
+            'file' => $file,
+            'content' => json_decode(readCurrentConfig($file)),
+            'hasDraft' => is_file(draftPath($file))
+        ]);
+
+    case 'POST save':
+        $file = requireConfigFile();
+        $raw = file_get_contents('php://input');
+        $data = json_decode($raw, true);
+        if ($data === null) {
+            sendError(400, 'Invalid JSON: ' . json_last_error_msg());
+        }
+
+        $errors = call_user_func(ADMIN_FILES[$file], $data);
+        if (count($errors) > 0) {
+            sendError(422, "$file has errors", $errors);
+        }
+
+        // Re-encoded from objects so {} stays {} (associative arrays would turn it into [])
+        $json = json_encode(json_decode($raw), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+        writeAtomic(draftPath($file), $json . "\n");
+        sendJson(['success' => true, 'file' => $file, 'hasDraft' => true]);
+
+    case 'POST discard':
+        $file = requireConfigFile();
+        @unlink(draftPath($file));
+        sendJson(['success' => true, 'file' => $file, 'hasDraft' => false]);
+
+    case 'GET draft':
+        $file = requireConfigFile();
+        $contents = readCurrentConfig($file);
+        if ($contents === false) {
+            sendError(404, "$file not found");
+        }
+        echo $contents;
+        exit;
+
+    case 'POST publish':
+        $drafts = [];
+        foreach (array_keys(ADMIN_FILES) as $file) {
+            if (!is_file(draftPath($file))) {
+                continue;
+            }
+
+            // Drafts were validated on save, check again in case they were edited on disk
+            $contents = file_get_contents(draftPath($file));
+            $errors = call_user_func(ADMIN_FILES[$file], json_decode($contents, true));
+            if (count($errors) > 0) {
+                sendError(422, "$file has errors, nothing was published", $errors);
+            }
+            $drafts[$file] = $contents;
+        }
+
+        $backupDir = dataPath('backups');
+        $stamp = date('Ymd-His');
+        foreach ($drafts as $file => $contents) {
+            if (is_file($rootDir . '/' . $file)) {
+                copy($rootDir . '/' . $file, "$backupDir/$stamp-$file");
+            }
+            writeAtomic($rootDir . '/' . $file, $contents);
+            unlink(draftPath($file));
+        }
+
+        // Enabled providers may have changed
+        if (isset($drafts['providers.json'])) {
+            writeImageLists();
+        }
+
+        sendJson(['success' => true, 'published' => array_keys($drafts)]);
+
+    case 'GET images':
+        $result = [];
+        foreach (getProviderFolders() as $provider) {
+            $files = is_dir("$imagesDir/$provider") ? scandir("$imagesDir/$provider") : [];
+            $result[$provider] = array_values(array_filter($files, function ($file) {
+                return preg_match('/\.(jpg|jpeg|png|webp|gif)$/i', $file);
+            }));
+        }
+        sendJson(['success' => true, 'providers' => $result]);
+
+    case 'POST upload':
+        $provider = requireProviderFolder(isset($_POST['provider']) ? $_POST['provider'] : '');
+        $upload = isset($_FILES['image']) ? $_FILES['image'] : null;
+
+        if (!$upload || $upload['error'] !== UPLOAD_ERR_OK) {
+            sendError(400, 'No image uploaded');
+        }
+        if ($upload['size'] > MAX_UPLOAD_BYTES) {
+            sendError(413, 'Image is larger than ' . (MAX_UPLOAD_BYTES / 1024 / 1024) . ' MB');
+        }
+
+        // Trust the decoded header, not the extension or the browser's MIME type
+        $info = @getimagesize($upload['tmp_name']);
+        if (!$info || !array_key_exists($info[2], IMAGE_TYPES)) {
+            sendError(415, 'Not a JPEG, PNG, WebP or GIF image');
+        }
+
+        $name = sanitizeImageName($upload['name'], $info[2]);
+        $target = "$imagesDir/$provider/$name";
+        if (file_exists($target)) {
+            sendError(409, "$provider/$name already exists");
+        }
+
+        if (!is_dir("$imagesDir/$provider")) {
+            mkdir("$imagesDir/$provider", 0755, true);
+        }
+        if (!move_uploaded_file($upload['tmp_name'], $target)) {
+            sendError(500, 'Could not store the upload');
+        }
+        writeImageLists();
+
+        sendJson([
+            'success' => true,
+            'image' => ['provider' => $provider, 'name' => $name, 'width' => $info[0], 'height' => $info[1]]
+        ]);
+
+    case 'POST move':
+        $body = json_decode(file_get_contents('php://input'), true);
+        $image = isset($body['image']) ? (string) $body['image'] : '';
+        $slash = strpos($image, '/');
+        $fromProvider = $slash !== false ? substr($image, 0, $slash) : '';
+        $name = $slash !== false ? substr($image, $slash + 1) : '';
+
+        requireProviderFolder($fromProvider);
+        $provider = requireProviderFolder(isset($body['provider']) ? (string) $body['provider'] : '');
+
+        if ($name === '' || basename($name) !== $name || !is_file("$imagesDir/$fromProvider/$name")) {
+            sendError(404, "Image not found: $image");
+        }
+        if (file_exists("$imagesDir/$provider/$name")) {
+            sendError(409, "$provider/$name already exists");
+        }
+
+        // Worked out before touching anything so a refused slug leaves the image in place
+        $writes = planMovedImageReferences($fromProvider, $provider, $name);
+
+        if (!is_dir("$imagesDir/$provider")) {
+            mkdir("$imagesDir/$provider", 0755, true);
+        }
+        if (!rename("$imagesDir/$fromProvider/$name", "$imagesDir/$provider/$name")) {
+            sendError(500, 'Could not move the image');
+        }
+
+        $backupDir = dataPath('backups');
+        $stamp = date('Ymd-His');
+        foreach ($writes as $path => $contents) {
+            if (dirname($path) === $rootDir) {
+                copy($path, "$backupDir/$stamp-" . basename($path));
+            }
+            writeAtomic($path, $contents);
+        }
+        writeImageLists();
+
+        sendJson(['success' => true, 'image' => ['provider' => $provider, 'name' => $name]]);
+
+    default:
+        sendError(400, 'Unknown action: ' . $action);
+}
+?>
@@ -1,32 +1,251 @@
 /**
  * Game Data - Provider-based Image Loading System
- * Purpose: Dynamically loads all images from provider folders
- * 
- * Provider Structure:
- * - images/HACKSAW/
- * - images/PG SOFT/
- * - images/Pragmatic Play/
- * - images/Playtech/
- * - images/Play N' GO/
- * - images/TADA/
- */
-
-// Provider list with display names and folder names
-const PROVIDERS = {
-    'HACKSAW': { displayName: 'Hacksaw Gaming', folder: 'HACKSAW', priority: 1 },
-    'PG SOFT': { displayName: 'PG Soft', folder: 'PG SOFT', priority: 1 },
-    'Pragmatic Play': { displayName: 'Pragmatic Play', folder: 'Pragmatic Play', priority: 1 },
-    'Playtech': { displayName: 'Playtech', folder: 'Playtech', priority: 2 },
-    'Play N\' GO': { displayName: 'Play N\' GO', folder: 'Play N\' GO', priority: 1 },
-    'TADA': { displayName: 'TADAJILI', folder: 'TADA', priority: 2 }
-};
+ * Purpose: Provider registry and the game catalog used to describe each image
+ *
+ * Providers are listed once in providers.json (also read by get_images.php and
+ * the build scripts). Adding a provider = one entry there + one images/<folder>/.
+ */
+
+// Provider registry keyed by folder, filled from providers.json
+// Format: { 'folder': { displayName, folder, priority, tier, emoji, logo } }
+// - priority: lower comes first in the provider menu
+// - tier: popularity tier name from game_popularity.js POPULARITY_RULES
+// - emoji: shown before the name in the provider menu (logo: optional image path used instead)
+const PROVIDERS = {};
+
+/**
+ * Fills PROVIDERS from a providers.json manifest, skipping disabled providers
+ */
+function applyProviderRegistry(manifest) {
+    Object.keys(PROVIDERS).forEach(key => delete PROVIDERS[key]);
+    
+    (manifest.providers || []).forEach(provider => {
+        if (!provider.folder || provider.enabled === false) return;
+        PROVIDERS[provider.folder] = {
+            displayName: provider.displayName || provider.folder,
+            folder: provider.folder,
+            priority: provider.priority || 99,
+            tier: provider.tier || 'REGULAR',
+            emoji: provider.emoji || '🎮',
+            logo: provider.logo || null
+        };
+    });
+    
+    return PROVIDERS;
+}
+
+/**
+ * True on index.html?preview=1, the admin panel's preview of the drafts
+ */
+function isPreviewMode() {
+    return typeof location !== 'undefined' && /[?&]preview=1\b/.test(location.search);
+}
+
+/**
+ * URL of a JSON config file. The preview reads the admin drafts instead (see admin.php).
+ */
+function getConfigUrl(file) {
+    return isPreviewMode() ? `admin.php?action=draft&file=${encodeURIComponent(file)}` : file;
+}
+
+// ============================================
+// CONFIG CACHE (stale-while-revalidate, like the game manifest)
+// ============================================
+
+const CONFIG_CACHE_PREFIX = 'rtppop:config:';
+
+/**
+ * Reads a config saved by fetchConfig (never in the preview, it shows the drafts)
+ * @returns {*} Parsed JSON, or null when it isn't cached
+ */
+function readCachedConfig(file) {
+    if (isPreviewMode()) return null;
+    
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG_CACHE_PREFIX + file));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Fetches a JSON config and caches its text for the next visit (not in the preview)
+ * @returns {Promise<{data: *, changed: boolean}>} changed is false when it matches the cached copy
+ * @throws {Error} When it can't be fetched or parsed
+ */
+async function fetchConfig(file) {
+    const response = await fetch(getConfigUrl(file));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    
+    const text = await response.text();
+    const data = JSON.parse(text);
+    if (isPreviewMode()) return { data, changed: true };
+    
+    let changed = true;
+    try {
+        changed = localStorage.getItem(CONFIG_CACHE_PREFIX + file) !== text;
+        if (changed) localStorage.setItem(CONFIG_CACHE_PREFIX + file, text);
+    } catch (error) {
+        console.warn(`⚠️ Could not cache ${file}:`, error.message);
+    }
+    return { data, changed };
+}
+
+// ============================================
+// PROVIDER REGISTRY LOADING
+// ============================================
+
+/**
+ * Loads providers.json into PROVIDERS (browser).
+ * Falls back to the folders in provider_image_lists.js when the manifest can't be fetched.
+ */
+async function loadProviderRegistry() {
+    try {
+        const { data } = await fetchConfig('providers.json');
+        applyProviderRegistry(data);
+        console.log(`✅ Loaded ${Object.keys(PROVIDERS).length} providers from providers.json`);
+        return PROVIDERS;
+    } catch (error) {
+        // Handled below
+    }
+    
+    console.warn('⚠️ providers.json not available, using provider_image_lists.js folders');
+    const folders = typeof window !== 'undefined' && window.PROVIDER_IMAGES ? Object.keys(window.PROVIDER_IMAGES) : [];
+    return applyProviderRegistry({ providers: folders.map(folder => ({ folder })) });
+}
+
+// Node reads the manifest synchronously
+if (typeof module !== 'undefined' && module.exports) {
+    applyProviderRegistry(require('./providers.json'));
+}
+
+// ============================================
+// GAME CATALOG
+// ============================================
 
-// This will be populated dynamically by scanning the folders
-// Format: { 'provider/imagename': { provider, image, path } }
+// Game catalog keyed by a stable slug, filled from catalog.json
+// Format: { 'slug': { title, provider, image, rtp, volatility, releaseDate, tags, aliases } }
+// - image: filename inside images/<provider>/
+// - rtp: provider-published theoretical RTP in percent (null = not verified yet)
+// - volatility: 'low' | 'medium' | 'high' (null = not verified yet)
+// - releaseDate: 'YYYY-MM' (null = not verified yet)
+// - aliases: other names players search for (optional)
+// Images without an entry here still load, using a slug derived from the filename
 const GAME_DATA = {};
 
+// Reverse index: 'provider/imagename' -> slug
+const GAME_DATA_BY_IMAGE = {};
+
+/**
+ * Fills GAME_DATA (and its image index) from a catalog.json object
+ */
+function applyGameCatalog(catalog) {
+    [GAME_DATA, GAME_DATA_BY_IMAGE].forEach(index => {
+        Object.keys(index).forEach(key => delete index[key]);
+    });
+    
+    Object.entries(catalog || {}).forEach(([slug, game]) => {
+        GAME_DATA[slug] = game;
+        GAME_DATA_BY_IMAGE[`${game.provider}/${game.image}`] = slug;
+    });
+    
+    return GAME_DATA;
+}
+
+/**
+ * Loads catalog.json into GAME_DATA (browser). Games show without titles when it can't be fetched.
+ */
+async function loadGameCatalog() {
+    try {
+        const { data } = await fetchConfig('catalog.json');
+        applyGameCatalog(data);
+        console.log(`✅ Loaded ${Object.keys(GAME_DATA).length} catalog entries from catalog.json`);
+        return GAME_DATA;
+    } catch (error) {
+        // Handled below
+    }
+    
+    console.warn('⚠️ catalog.json not available, games will show without titles');
+    return GAME_DATA;
+}
+
+// Node reads the catalog synchronously
+if (typeof module !== 'undefined' && module.exports) {
+    applyGameCatalog(require('./catalog.json'));
+}
+
+/**
+ * Converts text to a lowercase, dash-separated slug
+ */
+function slugify(text) {
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Finds the catalog entry for an image file
+ * @returns {Object|null} Catalog entry with its slug, or null if not catalogued
+ */
+function findCatalogEntry(provider, imageName) {
+    const slug = GAME_DATA_BY_IMAGE[`${provider}/${imageName}`];
+    return slug ? { slug, ...GAME_DATA[slug] } : null;
+}
+
+/**
+ * Returns the stable slug for an image, derived from the filename when uncatalogued
+ */
+function getGameSlug(provider, imageName) {
+    const slug = GAME_DATA_BY_IMAGE[`${provider}/${imageName}`];
+    if (slug) return slug;
+    return `${slugify(provider)}-${slugify(imageName.replace(/\.[^.]+$/, ''))}`;
+}
+
+// ============================================
+// IMAGE VARIANTS
+// ============================================
+
+// Resized copies written by scripts/build-image-variants.js
+// images/_variants/<provider>/<name>-<width>.<format>, listed in images/_variants/manifest.json
+// Only get_images.php reports them, the provider_image_lists.js fallback serves the originals
+const IMAGE_VARIANTS = {
+    dir: 'images/_variants',
+    widths: [240, 360, 480],
+    formats: ['avif', 'webp'] // Preferred format first
+};
+
+/**
+ * Path of one resized variant of a provider image
+ */
+function getImageVariantPath(provider, imageName, width, format) {
+    return `${IMAGE_VARIANTS.dir}/${provider}/${imageName.replace(/\.[^.]+$/, '')}-${width}.${format}`;
+}
+
 // Export for use in other scripts
 if (typeof window !== 'undefined') {
     window.GAME_DATA = GAME_DATA;
     window.PROVIDERS = PROVIDERS;
+    window.applyProviderRegistry = applyProviderRegistry;
+    window.loadProviderRegistry = loadProviderRegistry;
+    window.applyGameCatalog = applyGameCatalog;
+    window.loadGameCatalog = loadGameCatalog;
+    window.isPreviewMode = isPreviewMode;
+    window.getConfigUrl = getConfigUrl;
+    window.readCachedConfig = readCachedConfig;
+    window.fetchConfig = fetchConfig;
+    window.findCatalogEntry = findCatalogEntry;
+    window.getGameSlug = getGameSlug;
+    window.IMAGE_VARIANTS = IMAGE_VARIANTS;
+    window.getImageVariantPath = getImageVariantPath;
+}
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROVIDERS, GAME_DATA, IMAGE_VARIANTS,
+        applyProviderRegistry, applyGameCatalog, slugify, findCatalogEntry, getGameSlug, getImageVariantPath
+    };
 }
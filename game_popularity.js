@@ -1,86 +1,137 @@
 /**
  * Game Popularity Detection System - FORTUNE & POPULAR Priority
- * Detects FORTUNE_* and POPULAR_* image names and places them at the top
+ * Ranks games with a declarative rules table: FORTUNE_* and POPULAR_* images first,
+ * then catalog tags and provider tiers
  */
 
 // ============================================
-// PRIORITY LEVELS
+// POPULARITY RULES
 // ============================================
-const PRIORITIES = {
-    FORTUNE_NAMED: 1,    // FORTUNE_1.jpg, FORTUNE_2.jpg, etc. (HIGHEST)
-    POPULAR_NAMED: 2,    // POPULAR_1.jpg, POPULAR_2.jpg, etc.
-    FORTUNE_PROVIDER: 3, // Other PG SOFT & TADA games
-    OLYMPUS_GAMES: 4,    // Pragmatic Play Olympus/popular games
-    POPULAR_PROVIDER: 5, // HACKSAW & Play N' GO
-    REGULAR: 6           // All other games
-};
+
+// Tiers, best first (position + 1 = priority number). A game gets the first rule it matches.
+// A rule matches when any of its matchers does:
+// - image: RegExp tested against the filename; a capture group orders games inside the tier
+// - providers: provider folders (case-insensitive)
+// - tags: GAME_DATA catalog tags
+// - games: explicit game slugs
+// Providers whose providers.json "tier" names a rule also match it.
+// The last rule is the fallback for everything else.
+const POPULARITY_RULES = [
+    { tier: 'FORTUNE_NAMED', label: '⭐⭐⭐ FORTUNE GAMES', image: /^FORTUNE_(\d+)?/ },
+    { tier: 'POPULAR_NAMED', label: '⭐⭐ POPULAR GAMES', image: /^POPULAR_(\d+)?/ },
+    { tier: 'FORTUNE_PROVIDER', label: '🎯 Fortune Providers' },   // PG SOFT & TADA
+    { tier: 'OLYMPUS_GAMES', label: '🏛️ Olympus Games', image: /^OLYMPUS/i, tags: ['olympus'] },
+    { tier: 'FEATURED_PROVIDER', label: '⭐ Featured Providers' }, // Pragmatic Play
+    { tier: 'POPULAR_PROVIDER', label: '🎰 Popular Providers' },   // HACKSAW & Play N' GO
+    { tier: 'REGULAR', label: '📱 Regular Games' }
+];
+
+// Priority number per tier name, e.g. PRIORITIES.FORTUNE_NAMED === 1
+const PRIORITIES = {};
+POPULARITY_RULES.forEach((rule, index) => {
+    PRIORITIES[rule.tier] = index + 1;
+});
+
+// Registry and catalog come from game-data.js (globals in the browser, required in Node)
+const popularityData = typeof PROVIDERS !== 'undefined'
+    ? { PROVIDERS, findCatalogEntry, getGameSlug }
+    : require('./game-data');
+
+/**
+ * Looks up a provider's registry entry, ignoring case
+ */
+function findProviderEntry(provider) {
+    const registry = popularityData.PROVIDERS;
+    if (registry[provider]) return registry[provider];
+    const lowerProvider = provider.toLowerCase();
+    const key = Object.keys(registry).find(name => name.toLowerCase() === lowerProvider);
+    return key ? registry[key] : null;
+}
 
 // ============================================
-// SMART DETECTION BASED ON IMAGE NAME
+// SMART DETECTION BASED ON THE RULES
 // ============================================
 
 /**
- * Detects game priority based on image filename and provider
+ * Whether a rule matches a game
+ * @param {Object} rule - POPULARITY_RULES entry
+ * @param {{imageName: string, provider: string, slug: string, tags: string[], providerTier: string|null}} game
+ */
+function ruleMatches(rule, game) {
+    const lowerProvider = game.provider.toLowerCase();
+    
+    return Boolean(
+        (rule.image && rule.image.test(game.imageName)) ||
+        (rule.providers && rule.providers.some(name => name.toLowerCase() === lowerProvider)) ||
+        (rule.tags && rule.tags.some(tag => game.tags.includes(tag))) ||
+        (rule.games && rule.games.includes(game.slug)) ||
+        game.providerTier === rule.tier
+    );
+}
+
+/**
+ * Finds the popularity rule for an image
  * @param {string} imageName - The image filename (e.g., "FORTUNE_1.jpg")
  * @param {string} provider - The provider name (e.g., "PG SOFT")
- * @returns {number} Priority level (1-6, lower = higher priority)
+ * @param {Array} [rules] - Rules table, defaults to POPULARITY_RULES
+ * @returns {Object} Entry of the rules table
  */
-window.detectGamePriority = function(imageName, provider) {
-    const lowerImageName = imageName.toLowerCase();
-    const lowerProvider = provider.toLowerCase();
-    
-    // PRIORITY 1: Images explicitly named FORTUNE_*
-    if (imageName.startsWith('FORTUNE_')) {
-        return PRIORITIES.FORTUNE_NAMED;
-    }
-    
-    // PRIORITY 2: Images explicitly named POPULAR_*
-    if (imageName.startsWith('POPULAR_')) {
-        return PRIORITIES.POPULAR_NAMED;
-    }
-    
-    // PRIORITY 3: Other Fortune-related providers (PG SOFT, TADA)
-    if (lowerProvider === 'pg soft' || lowerProvider === 'tada') {
-        return PRIORITIES.FORTUNE_PROVIDER;
-    }
-    
-    // PRIORITY 4: Olympus/Zeus games (Pragmatic Play)
-    if (lowerProvider === 'pragmatic play') {
-        return PRIORITIES.OLYMPUS_GAMES;
-    }
-    
-    // PRIORITY 5: Popular providers (HACKSAW, Play N' GO)
-    if (lowerProvider === 'hacksaw' || lowerProvider === "play n' go") {
-        return PRIORITIES.POPULAR_PROVIDER;
-    }
+function findPopularityRule(imageName, provider, rules = POPULARITY_RULES) {
+    const entry = popularityData.findCatalogEntry(provider, imageName);
+    const registryEntry = findProviderEntry(provider);
+    const game = {
+        imageName,
+        provider,
+        slug: entry ? entry.slug : popularityData.getGameSlug(provider, imageName),
+        tags: entry && entry.tags ? entry.tags : [],
+        providerTier: registryEntry ? registryEntry.tier : null
+    };
     
-    // PRIORITY 6: Regular games
-    return PRIORITIES.REGULAR;
-};
+    const fallback = rules[rules.length - 1];
+    return rules.slice(0, -1).find(rule => ruleMatches(rule, game)) || fallback;
+}
+
+/**
+ * Detects game priority based on image filename and provider
+ * @param {string} imageName - The image filename (e.g., "FORTUNE_1.jpg")
+ * @param {string} provider - The provider name (e.g., "PG SOFT")
+ * @param {Array} [rules] - Rules table, defaults to POPULARITY_RULES
+ * @returns {number} Priority level (1 = highest, position in the rules table)
+ */
+function detectGamePriority(imageName, provider, rules = POPULARITY_RULES) {
+    return rules.indexOf(findPopularityRule(imageName, provider, rules)) + 1;
+}
 
 // ============================================
 // SORTING FUNCTION
 // ============================================
 
+/**
+ * Number captured by the tier's image regex (FORTUNE_2.jpg -> 2), or null
+ */
+function getTierOrder(game) {
+    const rule = POPULARITY_RULES[game.priority - 1];
+    const match = rule && rule.image ? game.imageName.match(rule.image) : null;
+    return match && match[1] !== undefined ? parseInt(match[1], 10) : null;
+}
+
 /**
  * Sorts games by popularity (priority)
  * Lower priority number = more popular = appears first
  */
-window.sortGamesByPopularity = function(games) {
+function sortGamesByPopularity(games) {
     return games.sort((a, b) => {
-        // Sort by priority first (1, 2, 3, 4, 5, 6)
+        // Sort by priority first (1, 2, 3, ...)
         if (a.priority !== b.priority) {
             return a.priority - b.priority;
         }
         
-        // For FORTUNE_* and POPULAR_* images, sort by number in filename
-        const aIsNumbered = a.imageName.match(/^(FORTUNE|POPULAR)_(\d+)/);
-        const bIsNumbered = b.imageName.match(/^(FORTUNE|POPULAR)_(\d+)/);
+        // Numbered images (FORTUNE_1 before FORTUNE_2, etc.)
+        const aOrder = getTierOrder(a);
+        const bOrder = getTierOrder(b);
         
-        if (aIsNumbered && bIsNumbered) {
-            const aNum = parseInt(aIsNumbered[2]);
-            const bNum = parseInt(bIsNumbered[2]);
-            return aNum - bNum; // FORTUNE_1 before FORTUNE_2, etc.
+        if (aOrder !== null && bOrder !== null) {
+            return aOrder - bOrder;
         }
         
         // Within same priority, sort alphabetically by provider
@@ -88,32 +139,171 @@ window.sortGamesByPopularity = function(games) {
             return a.provider.localeCompare(b.provider);
         }
         
-        // Within same provider, sort alphabetically by image name
+        // Within same provider, catalogued games first, sorted by title
+        if (a.title && b.title) {
+            return a.title.localeCompare(b.title);
+        }
+        if (a.title || b.title) {
+            return a.title ? -1 : 1;
+        }
+        
+        // Uncatalogued games keep image name order
         return a.imageName.localeCompare(b.imageName);
     });
-};
+}
 
 // ============================================
 // PRIORITY LABELS (for display/debugging)
 // ============================================
 
-window.getPriorityLabel = function(priority) {
-    const labels = {
-        1: '⭐⭐⭐ FORTUNE GAMES',
-        2: '⭐⭐ POPULAR GAMES',
-        3: '🎯 Fortune Providers',
-        4: '🏛️ Olympus Games',
-        5: '🎰 Popular Providers',
-        6: '📱 Regular Games'
+function getPriorityLabel(priority) {
+    const rule = POPULARITY_RULES[priority - 1];
+    return rule ? rule.label : POPULARITY_RULES[POPULARITY_RULES.length - 1].label;
+}
+
+/**
+ * Counts games per tier, in tier order
+ * @returns {Object<string, number>} e.g. { '1: ⭐⭐⭐ FORTUNE GAMES': 7, ... }
+ */
+function getPopularityBreakdown(games) {
+    const counts = {};
+    POPULARITY_RULES.forEach((rule, index) => {
+        counts[`${index + 1}: ${rule.label}`] = 0;
+    });
+    
+    games.forEach(game => {
+        const priority = POPULARITY_RULES[game.priority - 1] ? game.priority : POPULARITY_RULES.length;
+        counts[`${priority}: ${getPriorityLabel(priority)}`]++;
+    });
+    
+    return counts;
+}
+
+// ============================================
+// MANUAL CURATION (curation.json)
+// ============================================
+
+// Applied after the priority sort, so games can be reordered without renaming images.
+// Games are referenced by slug (GAME_DATA key, or the slug derived from provider + filename).
+// {
+//     "pinned": [{ "game": "fortune-tiger", "position": 1 }], // 1-based position in the full list
+//     "hidden": ["wild-heist-cashout"],                         // hidden or retired games
+//     "providerOrder": { "PG SOFT": ["fortune-ox", "fortune-rabbit"] } // first inside their provider
+// }
+let CURATION = { pinned: [], hidden: [], providerOrder: {} };
+
+/**
+ * Replaces CURATION with a curation.json object (missing lists default to empty)
+ */
+function applyCurationConfig(curation) {
+    CURATION = Object.assign({ pinned: [], hidden: [], providerOrder: {} }, curation);
+    return CURATION;
+}
+
+/**
+ * Loads curation.json into CURATION (browser). Without it the sort is left as is.
+ */
+async function loadCuration() {
+    try {
+        const { data } = await fetchConfig('curation.json');
+        applyCurationConfig(data);
+        console.log(`✅ Curation loaded: ${CURATION.pinned.length} pinned, ${CURATION.hidden.length} hidden`);
+    } catch (error) {
+        console.warn('⚠️ curation.json not available, using popularity order only');
+    }
+    return CURATION;
+}
+
+/**
+ * Applies curation to a sorted game list: hides games, then per-provider order, then pins
+ * @param {Array} games - Games sorted by sortGamesByPopularity
+ * @param {Object} [curation] - Defaults to CURATION
+ * @returns {{games: Array, unknown: string[]}} Curated list and slugs that matched no game
+ */
+function applyCuration(games, curation) {
+    const rules = curation || CURATION;
+    const hidden = new Set(rules.hidden || []);
+    const known = new Set(games.map(game => game.id));
+    const referenced = [
+        ...(rules.hidden || []),
+        ...(rules.pinned || []).map(pin => pin.game),
+        ...Object.values(rules.providerOrder || {}).flat()
+    ];
+    
+    let result = games.filter(game => !hidden.has(game.id));
+    
+    // Provider order: listed games take the first slots that provider already holds
+    for (const [provider, order] of Object.entries(rules.providerOrder || {})) {
+        const slots = [];
+        result.forEach((game, index) => {
+            if (game.provider === provider) slots.push(index);
+        });
+        
+        const providerGames = slots.map(index => result[index]);
+        const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+        const reordered = providerGames
+            .map((game, index) => ({ game, index }))
+            .sort((a, b) => rank(a.game.id) - rank(b.game.id) || a.index - b.index)
+            .map(entry => entry.game);
+        
+        slots.forEach((slot, i) => {
+            result[slot] = reordered[i];
+        });
+    }
+    
+    // Pins: taken out, then inserted at their positions from the top down
+    const pins = (rules.pinned || [])
+        .filter(pin => known.has(pin.game) && !hidden.has(pin.game))
+        .sort((a, b) => a.position - b.position);
+    const pinnedIds = new Set(pins.map(pin => pin.game));
+    const pinnedGames = {};
+    
+    result = result.filter(game => {
+        if (!pinnedIds.has(game.id)) return true;
+        pinnedGames[game.id] = game;
+        return false;
+    });
+    
+    pins.forEach(pin => {
+        const index = Math.min(Math.max(pin.position, 1), result.length + 1) - 1;
+        result.splice(index, 0, pinnedGames[pin.game]);
+    });
+    
+    return {
+        games: result,
+        unknown: [...new Set(referenced.filter(id => !known.has(id)))]
+    };
+}
+
+// Node reads the curation file synchronously
+if (typeof module !== 'undefined' && module.exports) {
+    applyCurationConfig(require('./curation.json'));
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.POPULARITY_RULES = POPULARITY_RULES;
+    window.PRIORITIES = PRIORITIES;
+    window.detectGamePriority = detectGamePriority;
+    window.sortGamesByPopularity = sortGamesByPopularity;
+    window.getPriorityLabel = getPriorityLabel;
+    window.getPopularityBreakdown = getPopularityBreakdown;
+    window.applyCurationConfig = applyCurationConfig;
+    window.loadCuration = loadCuration;
+    window.applyCuration = applyCuration;
+}
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POPULARITY_RULES, PRIORITIES,
+        findPopularityRule, detectGamePriority, sortGamesByPopularity, getPriorityLabel, getPopularityBreakdown,
+        applyCuration
     };
-    return labels[priority] || 'Regular Games';
-};
+}
 
 console.log('✅ Game Popularity System Loaded - FORTUNE & POPULAR Priority');
 console.log('📊 Priority Levels:');
-console.log('   1️⃣  FORTUNE_* images (PG SOFT) - TOP PRIORITY');
-console.log('   2️⃣  POPULAR_* images (Pragmatic Play)');
-console.log('   3️⃣  Other PG SOFT & TADA games');
-console.log('   4️⃣  Other Pragmatic Play games');
-console.log('   5️⃣  HACKSAW & Play N\' GO games');
-console.log('   6️⃣  Regular Games (Others)');
+POPULARITY_RULES.forEach((rule, index) => {
+    console.log(`   ${index + 1}. ${rule.label}`);
+});
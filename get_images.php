@@ -1,53 +1,264 @@
 <?php
 /**
- * Dynamic Image Discovery API
+ * Dynamic Image Discovery API (v2)
  * Automatically scans provider folders and returns all images
  * No manual listing needed!
+ *
+ * Query parameters:
+ *   ?provider=PG SOFT   Only this provider folder (comma-separated for several)
+ *   ?since=1735689600   Only images modified after this Unix timestamp (or any date strtotime() accepts)
+ *   ?preview=1          Read the draft providers.json when the request comes from an admin session (see admin.php)
+ *
+ * Response (version 2):
+ *   { success, version: 2, providers: { folder: [{ name, size, width, height, mtime, variants? }] },
+ *     totalImages, lastModified, timestamp }
+ *
+ * variants ({ widths, formats }) is set when scripts/build-image-variants.js has
+ * resized copies of the current file in images/_variants/.
+ *
+ * Image dimensions are cached in images/_variants/dimensions.json (keyed by name, size and
+ * mtime), so each image header is only read once after it changes.
+ *
+ * Sends ETag / Last-Modified so browsers revalidate with a 304 instead of a full response.
  */
 
 header('Content-Type: application/json');
 header('Access-Control-Allow-Origin: *');
+header('Cache-Control: no-cache');
 
-$imagesDir = 'images';
-$providers = [
-    'HACKSAW',
-    'PG SOFT',
-    'Pragmatic Play',
-    'Playtech',
-    'Play N\' GO',
-    'TADA'
-];
+const API_VERSION = 2;
 
-$result = [];
-$totalImages = 0;
+$imagesDir = __DIR__ . '/images';
+$manifestFile = __DIR__ . '/providers.json';
+$variantsFile = $imagesDir . '/_variants/manifest.json';
+$dimensionsFile = $imagesDir . '/_variants/dimensions.json';
+
+/**
+ * Sends a JSON error response and stops
+ */
+function sendError($status, $message) {
+    http_response_code($status);
+    echo json_encode([
+        'success' => false,
+        'version' => API_VERSION,
+        'error' => $message
+    ]);
+    exit;
+}
+
+// ============================================
+// PROVIDERS (from providers.json)
+// ============================================
+
+// The admin preview lists the providers of the draft, only for a logged-in admin
+if (isset($_GET['preview']) && $_GET['preview'] === '1' && isset($_COOKIE['rtppop_admin'])) {
+    session_name('rtppop_admin');
+    session_start(['read_and_close' => true]);
+
+    $draftFile = __DIR__ . '/.admin-data/drafts/providers.json';
+    if (!empty($_SESSION['admin']) && is_file($draftFile)) {
+        $manifestFile = $draftFile;
+        header('Cache-Control: no-store');
+    }
+}
+
+$manifest = json_decode(@file_get_contents($manifestFile), true);
+
+if (!is_array($manifest) || !isset($manifest['providers']) || !is_array($manifest['providers'])) {
+    sendError(500, 'providers.json is missing or invalid');
+}
+
+$providers = [];
+foreach ($manifest['providers'] as $entry) {
+    // Skip disabled providers
+    if (empty($entry['folder']) || (isset($entry['enabled']) && $entry['enabled'] === false)) {
+        continue;
+    }
+    $providers[] = $entry['folder'];
+}
+
+// Responsive variants (optional build output)
+$variants = is_file($variantsFile) ? json_decode(file_get_contents($variantsFile), true) : null;
+if (!is_array($variants) || !isset($variants['images'])) {
+    $variants = null;
+}
+
+// ============================================
+// QUERY PARAMETERS
+// ============================================
+
+if (isset($_GET['provider']) && $_GET['provider'] !== '') {
+    $requested = array_map('trim', explode(',', $_GET['provider']));
+    $unknown = array_diff($requested, $providers);
+
+    if (count($unknown) > 0) {
+        sendError(404, 'Unknown provider: ' . implode(', ', $unknown));
+    }
+
+    $providers = array_values(array_intersect($providers, $requested));
+}
+
+$since = null;
+if (isset($_GET['since']) && $_GET['since'] !== '') {
+    $since = ctype_digit($_GET['since']) ? (int) $_GET['since'] : strtotime($_GET['since']);
+
+    if ($since === false) {
+        sendError(400, 'Invalid since parameter (use a Unix timestamp or a date)');
+    }
+}
+
+// ============================================
+// SCAN (names + stat only, cheap enough for every request)
+// ============================================
+
+$files = [];
+$lastModified = $variants ? max(filemtime($manifestFile), filemtime($variantsFile)) : filemtime($manifestFile);
 
 foreach ($providers as $provider) {
     $providerPath = $imagesDir . '/' . $provider;
-    $images = [];
-    
-    if (is_dir($providerPath)) {
-        $files = scandir($providerPath);
-        
-        foreach ($files as $file) {
-            // Skip . and .. and non-image files
-            if ($file !== '.' && $file !== '..' && preg_match('/\.(jpg|jpeg|png|webp|gif)$/i', $file)) {
-                $images[] = $file;
+    $files[$provider] = [];
+
+    if (!is_dir($providerPath)) {
+        continue;
+    }
+
+    // The folder mtime changes when an image is deleted or moved out (rename keeps the file's mtime)
+    $lastModified = max($lastModified, filemtime($providerPath));
+
+    foreach (scandir($providerPath) as $file) {
+        // Skip . and .. and non-image files
+        if ($file === '.' || $file === '..' || !preg_match('/\.(jpg|jpeg|png|webp|gif)$/i', $file)) {
+            continue;
+        }
+
+        $path = $providerPath . '/' . $file;
+        $mtime = filemtime($path);
+        $lastModified = max($lastModified, $mtime);
+
+        if ($since !== null && $mtime <= $since) {
+            continue;
+        }
+
+        $files[$provider][$file] = [
+            'size' => filesize($path),
+            'mtime' => $mtime
+        ];
+    }
+
+    ksort($files[$provider], SORT_STRING);
+}
+
+// ============================================
+// CONDITIONAL REQUEST (304)
+// ============================================
+
+$etag = '"' . md5(json_encode([API_VERSION, $_GET, $files, $variants ? filemtime($variantsFile) : null])) . '"';
+
+header('ETag: ' . $etag);
+header('Last-Modified: ' . gmdate('D, d M Y H:i:s', $lastModified) . ' GMT');
+
+$ifNoneMatch = isset($_SERVER['HTTP_IF_NONE_MATCH']) ? $_SERVER['HTTP_IF_NONE_MATCH'] : null;
+$ifModifiedSince = isset($_SERVER['HTTP_IF_MODIFIED_SINCE']) ? strtotime($_SERVER['HTTP_IF_MODIFIED_SINCE']) : false;
+
+if ($ifNoneMatch !== null) {
+    // If-None-Match wins over If-Modified-Since; accept lists and weak validators
+    $tags = array_map(function ($tag) {
+        return preg_replace('/^W\//', '', trim($tag));
+    }, explode(',', $ifNoneMatch));
+
+    if (in_array($etag, $tags, true) || in_array('*', $tags, true)) {
+        http_response_code(304);
+        exit;
+    }
+} elseif ($ifModifiedSince !== false && $lastModified <= $ifModifiedSince) {
+    http_response_code(304);
+    exit;
+}
+
+// ============================================
+// RESPONSE (dimensions come from the cache, headers are only read for new or changed files)
+// ============================================
+
+$dimensionCache = is_file($dimensionsFile) ? json_decode(file_get_contents($dimensionsFile), true) : null;
+$dimensionCache = is_array($dimensionCache) ? $dimensionCache : [];
+$dimensionCacheChanged = false;
+
+$result = [];
+$totalImages = 0;
+
+foreach ($files as $provider => $images) {
+    $result[$provider] = [];
+
+    foreach ($images as $file => $stat) {
+        $key = $provider . '/' . $file;
+        $cached = isset($dimensionCache[$key]) ? $dimensionCache[$key] : null;
+
+        if (!$cached || $cached['size'] !== $stat['size'] || $cached['mtime'] !== $stat['mtime']) {
+            $dimensions = @getimagesize($imagesDir . '/' . $key);
+            $cached = [
+                'size' => $stat['size'],
+                'mtime' => $stat['mtime'],
+                'width' => $dimensions ? $dimensions[0] : null,
+                'height' => $dimensions ? $dimensions[1] : null
+            ];
+            $dimensionCache[$key] = $cached;
+            $dimensionCacheChanged = true;
+        }
+
+        $image = [
+            'name' => $file,
+            'size' => $stat['size'],
+            'width' => $cached['width'],
+            'height' => $cached['height'],
+            'mtime' => $stat['mtime']
+        ];
+
+        // Only when the variants were built from this exact file
+        if ($variants && isset($variants['images'][$key])) {
+            $entry = $variants['images'][$key];
+
+            if ($entry['size'] === $stat['size'] && $entry['mtime'] === $stat['mtime']) {
+                $image['variants'] = [
+                    'widths' => $entry['widths'],
+                    'formats' => $variants['formats']
+                ];
             }
         }
-        
-        sort($images);
+
+        $result[$provider][] = $image;
     }
-    
-    $result[$provider] = $images;
+
     $totalImages += count($images);
 }
 
+// A full listing also drops the entries of deleted images
+if ((!isset($_GET['provider']) || $_GET['provider'] === '') && $since === null) {
+    $listed = [];
+    foreach ($files as $provider => $images) {
+        foreach ($images as $file => $stat) {
+            $listed[$provider . '/' . $file] = true;
+        }
+    }
+    $pruned = array_intersect_key($dimensionCache, $listed);
+    $dimensionCacheChanged = $dimensionCacheChanged || count($pruned) !== count($dimensionCache);
+    $dimensionCache = $pruned;
+}
+
+// Best effort: without a writable images/_variants/ the headers are simply read again next time
+if ($dimensionCacheChanged && (is_dir(dirname($dimensionsFile)) || @mkdir(dirname($dimensionsFile), 0755, true))) {
+    $tmp = $dimensionsFile . '.tmp-' . getmypid();
+    if (@file_put_contents($tmp, json_encode($dimensionCache, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)) === false || !@rename($tmp, $dimensionsFile)) {
+        @unlink($tmp);
+    }
+}
+
 // Return as JSON
 echo json_encode([
     'success' => true,
+    'version' => API_VERSION,
     'providers' => $result,
     'totalImages' => $totalImages,
+    'lastModified' => $lastModified,
     'timestamp' => time()
 ]);
 ?>
-
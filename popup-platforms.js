@@ -0,0 +1,284 @@
+/**
+ * Popup Platforms - registration platforms listed in the popup
+ * Purpose: Loads platforms.json, rejects invalid entries with console diagnostics,
+ * puts the rest in display order for updatePopupButtons() in script.js and builds
+ * the outbound URLs (tracking parameters, same-tab/new-tab)
+ */
+
+// ============================================
+// PLATFORM LIST
+// ============================================
+
+// Valid, enabled platforms in display order, filled from platforms.json
+// Format: [{ name, image, url, enabled, order, weight }]
+// - name: required and unique, used as the button label / logo alt text
+// - image: logo path (optional, a text button is shown without it)
+// - url: http(s) address the button opens (required)
+// - enabled: false keeps the entry in the file but out of the popup (default true)
+// - order: fixed slot, lower comes first; ordered platforms always come before the rotating ones
+// - weight: share of the top slots for platforms without an order. They are shuffled on every
+//   page load, a platform with weight 3 lands above one with weight 1 about 3 times out of 4
+//   (default 1, 0 = always at the end)
+// - gameUrl: direct launch URL template for platforms that support it, e.g. "{platform}/game/{slug}"
+//   ({platform} = url without trailing slash, {slug} = catalog.json key, {provider} = provider folder).
+//   Only games with a catalog.json entry launch directly: slugs derived from image filenames
+//   mean nothing to the platforms, so those games open the platform url instead.
+// - openIn / params: per-platform overrides of POPUP_LINK_SETTINGS
+const POPUP_PLATFORMS = [];
+
+// Outbound link settings, top-level "openIn" / "params" in platforms.json
+// - openIn: 'new-tab' (default) or 'same-tab'
+// - params: query parameters added to every platform URL (UTM tags, referral codes).
+//   A platform's own params win over these; parameters already in its url are never replaced.
+const POPUP_LINK_SETTINGS = { openIn: 'new-tab', params: {} };
+
+const OPEN_IN_MODES = ['new-tab', 'same-tab'];
+
+/**
+ * Problems with the openIn / params fields of platforms.json or one of its entries
+ */
+function getLinkSettingErrors(source) {
+    const errors = [];
+
+    if (source.openIn !== undefined && !OPEN_IN_MODES.includes(source.openIn)) {
+        errors.push(`openIn must be ${OPEN_IN_MODES.join(' or ')}`);
+    }
+    if (source.params !== undefined) {
+        const params = source.params;
+        const isObject = params && typeof params === 'object' && !Array.isArray(params);
+        if (!isObject || Object.values(params).some(value => !['string', 'number'].includes(typeof value))) {
+            errors.push('params must map parameter names to text or numbers');
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Problems with one platforms.json entry (empty when it is valid)
+ * @param {Object} platform - platforms.json entry
+ * @param {Set<string>} seenNames - Names of the entries before it, for duplicates
+ * @returns {string[]}
+ */
+function getPlatformErrors(platform, seenNames) {
+    if (!platform || typeof platform !== 'object' || Array.isArray(platform)) {
+        return ['entry must be an object'];
+    }
+
+    const errors = [];
+    const name = typeof platform.name === 'string' ? platform.name.trim() : '';
+
+    if (!name) {
+        errors.push('missing name');
+    } else if (seenNames.has(name.toLowerCase())) {
+        errors.push(`duplicate name "${name}"`);
+    }
+
+    let url = null;
+    try {
+        url = new URL(platform.url);
+    } catch (error) {
+        // Reported below
+    }
+    if (!url || !/^https?:$/.test(url.protocol)) {
+        errors.push(`url must be an http(s) address (got ${JSON.stringify(platform.url)})`);
+    }
+
+    if (platform.gameUrl !== undefined) {
+        let gameUrl = null;
+        try {
+            gameUrl = new URL(fillGameUrlTemplate(platform.gameUrl, platform, { id: 'slug', provider: 'provider' }));
+        } catch (error) {
+            // Reported below
+        }
+        if (typeof platform.gameUrl !== 'string' || !platform.gameUrl.includes('{slug}') || !gameUrl || !/^https?:$/.test(gameUrl.protocol)) {
+            errors.push('gameUrl must be an http(s) address template containing {slug}');
+        }
+    }
+    if (platform.image !== undefined && (typeof platform.image !== 'string' || !platform.image)) {
+        errors.push('image must be a non-empty path');
+    }
+    if (platform.enabled !== undefined && typeof platform.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+    }
+    if (platform.order !== undefined && !Number.isFinite(platform.order)) {
+        errors.push('order must be a number');
+    }
+    if (platform.weight !== undefined && !(Number.isFinite(platform.weight) && platform.weight >= 0)) {
+        errors.push('weight must be a number from 0');
+    }
+
+    return errors.concat(getLinkSettingErrors(platform));
+}
+
+/**
+ * Splits a platforms.json object into the platforms to show, the link settings and the rejected entries.
+ * Invalid top-level settings are reported with index -1 and replaced by the defaults.
+ * @param {{platforms: Array, openIn?: string, params?: Object}} manifest - platforms.json contents
+ * @param {function(): number} [random] - Random source for the weighted rotation, defaults to Math.random
+ * @returns {{platforms: Array, settings: Object, rejected: Array<{index: number, name: string, errors: string[]}>, disabled: number}}
+ */
+function validatePopupPlatforms(manifest, random = Math.random) {
+    const entries = manifest && Array.isArray(manifest.platforms) ? manifest.platforms : null;
+    const settings = { openIn: 'new-tab', params: {} };
+    if (!entries) {
+        return { platforms: [], settings, rejected: [{ index: -1, name: '', errors: ['"platforms" must be a list'] }], disabled: 0 };
+    }
+
+    const seenNames = new Set();
+    const valid = [];
+    const rejected = [];
+
+    const settingErrors = getLinkSettingErrors(manifest);
+    if (settingErrors.length > 0) {
+        rejected.push({ index: -1, name: '', errors: settingErrors });
+    } else {
+        settings.openIn = manifest.openIn || settings.openIn;
+        settings.params = manifest.params || settings.params;
+    }
+
+    entries.forEach((platform, index) => {
+        const errors = getPlatformErrors(platform, seenNames);
+        const name = platform && typeof platform.name === 'string' ? platform.name.trim() : '';
+
+        if (errors.length > 0) {
+            rejected.push({ index, name, errors });
+            return;
+        }
+
+        seenNames.add(name.toLowerCase());
+        valid.push({
+            name,
+            image: platform.image || null,
+            url: platform.url,
+            enabled: platform.enabled !== false,
+            order: platform.order !== undefined ? platform.order : null,
+            weight: platform.weight !== undefined ? platform.weight : 1,
+            gameUrl: platform.gameUrl || null,
+            openIn: platform.openIn || null,
+            params: platform.params || {},
+            index
+        });
+    });
+
+    const enabled = valid.filter(platform => platform.enabled);
+    const ordered = enabled
+        .filter(platform => platform.order !== null)
+        .sort((a, b) => a.order - b.order || a.index - b.index);
+    const rotating = rotateByWeight(enabled.filter(platform => platform.order === null), random);
+
+    const platforms = ordered.concat(rotating).map(({ index, ...platform }) => platform);
+
+    return { platforms, settings, rejected, disabled: valid.length - platforms.length };
+}
+
+/**
+ * Weighted shuffle: each platform draws random^(1 / weight) and the highest draws come first,
+ * so the chance of landing above another platform follows the weights. Weight 0 goes last.
+ */
+function rotateByWeight(platforms, random) {
+    return platforms
+        .map(platform => ({ platform, key: platform.weight > 0 ? Math.pow(random(), 1 / platform.weight) : -1 }))
+        .sort((a, b) => b.key - a.key || a.platform.index - b.platform.index)
+        .map(entry => entry.platform);
+}
+
+// ============================================
+// OUTBOUND LINKS
+// ============================================
+
+/**
+ * Fills a gameUrl template for one game
+ * @param {string} template - e.g. "{platform}/game/{slug}"
+ * @param {Object} platform - Entry with the base url
+ * @param {{id: string, provider: string}} game - Game object from script.js
+ */
+function fillGameUrlTemplate(template, platform, game) {
+    const values = {
+        platform: String(platform.url).replace(/\/+$/, ''),
+        slug: encodeURIComponent(game.id),
+        provider: encodeURIComponent(game.provider)
+    };
+    return String(template).replace(/\{(platform|slug|provider)\}/g, (match, key) => values[key]);
+}
+
+/**
+ * True for games that can be launched through a gameUrl template (the ones with a catalog.json entry)
+ */
+function isDirectLaunchGame(game) {
+    return Boolean(game && game.title);
+}
+
+/**
+ * Platform URL with the configured tracking parameters appended.
+ * With a catalog game and a platform that has a gameUrl template, links straight to that game.
+ * @param {Object} platform - POPUP_PLATFORMS entry
+ * @param {Object|null} [game] - Game whose card opened the popup
+ * @param {Object} [settings] - Defaults to POPUP_LINK_SETTINGS
+ * @returns {string}
+ */
+function getPlatformUrl(platform, game, settings) {
+    const linkSettings = settings || POPUP_LINK_SETTINGS;
+    const url = new URL(isDirectLaunchGame(game) && platform.gameUrl ? fillGameUrlTemplate(platform.gameUrl, platform, game) : platform.url);
+    const params = Object.assign({}, linkSettings.params, platform.params);
+
+    Object.entries(params).forEach(([key, value]) => {
+        if (!url.searchParams.has(key)) {
+            url.searchParams.set(key, String(value));
+        }
+    });
+
+    return url.toString();
+}
+
+/**
+ * Where a platform opens: 'new-tab' or 'same-tab'
+ */
+function getPlatformOpenIn(platform, settings) {
+    return platform.openIn || (settings || POPUP_LINK_SETTINGS).openIn;
+}
+
+/**
+ * Fills POPUP_PLATFORMS and POPUP_LINK_SETTINGS from a platforms.json manifest, logging every rejected entry
+ */
+function applyPopupPlatforms(manifest) {
+    const { platforms, settings, rejected, disabled } = validatePopupPlatforms(manifest);
+
+    rejected.forEach(({ index, name, errors }) => {
+        const label = index === -1 ? 'platforms.json' : `platforms.json entry #${index + 1}${name ? ` (${name})` : ''}`;
+        console.warn(`⚠️ ${label} rejected: ${errors.join('; ')}`);
+    });
+
+    POPUP_PLATFORMS.splice(0, POPUP_PLATFORMS.length, ...platforms);
+    Object.assign(POPUP_LINK_SETTINGS, settings);
+    console.log(`✅ Loaded ${platforms.length} popup platforms (${disabled} disabled, ${rejected.length} rejected)`);
+    return POPUP_PLATFORMS;
+}
+
+/**
+ * Loads platforms.json into POPUP_PLATFORMS (browser)
+ */
+async function loadPopupPlatforms() {
+    try {
+        const { data } = await fetchConfig('platforms.json');
+        return applyPopupPlatforms(data);
+    } catch (error) {
+        console.error(`❌ platforms.json could not be loaded (${error.message}), the popup has no platforms`);
+        return POPUP_PLATFORMS;
+    }
+}
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.POPUP_PLATFORMS = POPUP_PLATFORMS;
+    window.POPUP_LINK_SETTINGS = POPUP_LINK_SETTINGS;
+    window.applyPopupPlatforms = applyPopupPlatforms;
+    window.loadPopupPlatforms = loadPopupPlatforms;
+    window.getPlatformUrl = getPlatformUrl;
+    window.getPlatformOpenIn = getPlatformOpenIn;
+}
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validatePopupPlatforms, getPlatformUrl, getPlatformOpenIn };
+}
@@ -1,7 +1,7 @@
 /**
  * Provider Image Lists
  * Auto-generated from directory scanning
- * DO NOT EDIT MANUALLY - Run generate_provider_images.py to update
+ * DO NOT EDIT MANUALLY - Run `node scripts/build-image-lists.js` to update
  */
 
 const PROVIDER_IMAGES = {
@@ -646,3 +646,8 @@ const PROVIDER_IMAGES = {
 if (typeof window !== 'undefined') {
     window.PROVIDER_IMAGES = PROVIDER_IMAGES;
 }
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PROVIDER_IMAGES;
+}
@@ -0,0 +1,20 @@
+/**
+ * RTP Config - settings shared by index.html (script.js) and test_rtp.html
+ * Purpose: States the RTP update window once, so the site and the test page can't drift apart
+ */
+
+const RTP_CONFIG = {
+    // RTP values change every window ({ hours, minutes, seconds }).
+    // Drives the seed, the refresh timer and the "next update" countdown.
+    updateWindow: { minutes: 1 }
+};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.RTP_CONFIG = RTP_CONFIG;
+}
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RTP_CONFIG;
+}
@@ -0,0 +1,219 @@
+/**
+ * RTP Engine - Time-based seeded RTP and multiplier generation
+ * Purpose: Single implementation shared by index.html, test_rtp.html and Node tests
+ *
+ * Usage (browser):  const engine = RTPEngine.createEngine({ updateWindow: { minutes: 1 } });
+ * Usage (Node):     const { createEngine } = require('./rtp-engine');
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RTPEngine = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    // ============================================
+    // DEFAULT OPTIONS
+    // ============================================
+
+    const DEFAULTS = {
+        updateWindow: { minutes: 1 }, // RTP values change every window ({ hours, minutes, seconds })
+        ranges: {
+            min: 30,
+            max: 99
+        },
+        multipliers: [
+            { value: '3X', type: 'low' },
+            { value: '7X', type: 'low' },
+            { value: '9X', type: 'medium' },
+            { value: '10X', type: 'medium' },
+            { value: '11X', type: 'medium' },
+            { value: '13X', type: 'high' },
+            { value: '15X', type: 'high' },
+            { value: '17X', type: 'high' },
+            { value: '20X', type: 'high' }
+        ]
+    };
+
+    // ============================================
+    // PURE HELPERS
+    // ============================================
+
+    /**
+     * Seeded random number generator using mulberry32
+     */
+    function seededRandom(seed) {
+        seed = Math.abs(seed | 0);
+        let t = seed += 0x6D2B79F5;
+        t = Math.imul(t ^ t >>> 15, t | 1);
+        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    }
+
+    // Linear congruential step applied to every seed before mulberry32
+    const PRE_HASH = {
+        multiplier: 9301,
+        increment: 49297,
+        modulus: 233280
+    };
+
+    /**
+     * Squashes a seed into one of PRE_HASH.modulus states.
+     * The seed is reduced first (same result) so seeds from short windows can't
+     * overflow Number.MAX_SAFE_INTEGER once multiplied.
+     */
+    function preHashSeed(seed) {
+        return ((seed % PRE_HASH.modulus) * PRE_HASH.multiplier + PRE_HASH.increment) % PRE_HASH.modulus;
+    }
+
+    /**
+     * Generates a seeded random integer between min and max
+     */
+    function getSeededRandomInt(seed, min, max) {
+        const random = seededRandom(preHashSeed(seed));
+        return Math.floor(random * (max - min + 1)) + min;
+    }
+
+    /**
+     * Converts a string to a numeric hash for seeding
+     */
+    function stringToHash(str) {
+        let hash = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str.charCodeAt(i);
+            hash = ((hash << 5) - hash) + char;
+            hash = hash & hash;
+        }
+        return Math.abs(hash);
+    }
+
+    /**
+     * Converts an update window ({ hours, minutes, seconds }) to milliseconds
+     */
+    function windowToMs(updateWindow) {
+        return ((updateWindow.hours || 0) * 3600 +
+                (updateWindow.minutes || 0) * 60 +
+                (updateWindow.seconds || 0)) * 1000;
+    }
+
+    // ============================================
+    // ENGINE FACTORY
+    // ============================================
+
+    /**
+     * Creates an RTP engine bound to a time window, RTP range and multiplier table
+     * @param {Object} [options]
+     * @param {{hours?: number, minutes?: number, seconds?: number}} [options.updateWindow] - How long each value stays stable
+     * @param {number} [options.windowMinutes] - Shorthand for updateWindow: { minutes }
+     * @param {{min: number, max: number}} [options.ranges] - Generated RTP range
+     * @param {Array<{value: string, type: string}>} [options.multipliers] - Multiplier table
+     * @param {function(): (number|Date)} [options.now] - Clock, defaults to Date.now
+     */
+    function createEngine(options) {
+        const settings = Object.assign({}, DEFAULTS, options || {});
+        if (settings.windowMinutes !== undefined) {
+            settings.updateWindow = { minutes: settings.windowMinutes };
+        }
+
+        const windowMs = windowToMs(settings.updateWindow);
+        if (!(windowMs > 0)) {
+            throw new Error('RTP engine: updateWindow must be longer than zero');
+        }
+
+        const now = settings.now || Date.now;
+
+        /**
+         * Resolves a timestamp (ms or Date), falling back to the engine clock
+         */
+        function toTimestamp(timestamp) {
+            return Number(timestamp !== undefined ? timestamp : now());
+        }
+
+        /**
+         * Gets the time window index since the UTC epoch, used as a seed.
+         * Every viewer gets the same seed regardless of their timezone.
+         * @param {number|Date} [timestamp] - Defaults to the engine clock
+         */
+        function getTimeSeed(timestamp) {
+            return Math.floor(toTimestamp(timestamp) / windowMs);
+        }
+
+        /**
+         * Milliseconds until the next time window starts
+         * @param {number|Date} [timestamp] - Defaults to the engine clock
+         */
+        function getTimeUntilNextUpdate(timestamp) {
+            return windowMs - (toTimestamp(timestamp) % windowMs);
+        }
+
+        /**
+         * Combines a game id with a time window into the seed for that game
+         * @param {string|number} gameId - Game id (strings are hashed)
+         * @param {number} [timeSeed] - Window seed to use instead of the current one
+         */
+        function getGameSeed(gameId, timeSeed) {
+            const seed = timeSeed !== undefined ? timeSeed : getTimeSeed();
+            const gameNumericId = typeof gameId === 'string' ? stringToHash(gameId) : gameId;
+            return seed * 1000 + gameNumericId;
+        }
+
+        /**
+         * Generates a time-based RTP percentage for a specific game
+         * @param {string|number} gameId - Game id (strings are hashed)
+         * @param {number} [timeSeed] - Window seed to use instead of the current one
+         */
+        function generateRandomRTP(gameId, timeSeed) {
+            return getSeededRandomInt(getGameSeed(gameId, timeSeed), settings.ranges.min, settings.ranges.max);
+        }
+
+        /**
+         * Generates a time-based multiplier configuration with Manual/Auto text
+         * @param {string|number} gameId - Game id (strings are hashed)
+         * @param {number} [timeSeed] - Window seed to use instead of the current one
+         */
+        function generateRandomMultiplier(gameId, timeSeed) {
+            const gameSeed = getGameSeed(gameId, timeSeed);
+
+            const multiplierSeed = gameSeed * 7;
+            const multiplierIndex = getSeededRandomInt(multiplierSeed, 0, settings.multipliers.length - 1);
+            const multiplier = settings.multipliers[multiplierIndex];
+
+            // Manual or Auto changes with each window
+            const textSeed = gameSeed * 11;
+            const isManual = getSeededRandomInt(textSeed, 0, 1) === 1;
+
+            return {
+                value: multiplier.value,
+                type: multiplier.type,
+                text: isManual ? 'Manual' : 'Auto'
+            };
+        }
+
+        return {
+            options: settings,
+            windowMs,
+            now,
+            getTimeSeed,
+            getTimeUntilNextUpdate,
+            getGameSeed,
+            generateRandomRTP,
+            generateRandomMultiplier,
+            seededRandom,
+            getSeededRandomInt,
+            stringToHash
+        };
+    }
+
+    return {
+        DEFAULTS,
+        PRE_HASH,
+        createEngine,
+        windowToMs,
+        preHashSeed,
+        seededRandom,
+        getSeededRandomInt,
+        stringToHash
+    };
+}));
@@ -8,171 +8,164 @@
 // ============================================
 
 const CONFIG = {
-    gamesPerProvider: 20, // Number of game cards to display when filtered (0 = show all)
-    rtpRanges: {
-        min: 30,
-        max: 99
-    },
+    gamesPerProvider: 20, // Game cards per page; more pages load while scrolling (0 = show all at once)
+    // Which RTP each card shows: 'published' (provider theoretical RTP from GAME_DATA),
+    // 'generated' (time-based simulated bar) or 'both'
+    rtpDisplay: 'both',
+    // <source sizes> for the responsive thumbnails (2 columns on phones, ~320px cards otherwise)
+    imageSizes: '(max-width: 768px) 50vw, 320px',
+    // Hide a card once its thumbnail has failed this many times, counted across visits (0 = never hide)
+    hideBrokenCardsAfter: 0,
+    // updateWindow drives the seed, the refresh timer and the countdown ({ hours, minutes, seconds }).
+    // It is set in rtp-config.js, which test_rtp.html loads too so both pages use the same window.
+    updateWindow: RTP_CONFIG.updateWindow,
+    // Generated RTP range and multiplier table (rtp-engine.js defaults, also used by test_rtp.html)
+    rtpRanges: RTPEngine.DEFAULTS.ranges,
     rtpwin: {
         min: 10,
         max: 100
         },
     
-    multipliers: [
-        { value: '3X', type: 'low' },
-        { value: '7X', type: 'low' },
-        { value: '9X', type: 'medium' },
-        { value: '10X', type: 'medium' },
-        { value: '11X', type: 'medium' },
-        { value: '13X', type: 'high' },
-        { value: '15X', type: 'high' },
-        { value: '17X', type: 'high' },
-        { value: '20X', type: 'high' }
-    ]
+    multipliers: RTPEngine.DEFAULTS.multipliers
 };
 
 // Application state
-let showAllGames = true; // Show all games by default
+let showAllGames = true; // Keep loading pages while scrolling (false = first page only)
 let currentProvider = 'all'; // Current selected provider filter
 let allGames = []; // Complete list of all games
+let visibleGames = []; // Games matching the current filter
+let renderedCount = 0; // How many of visibleGames are in the grid
+let gridObserver = null; // IntersectionObserver driving infinite scroll
+let searchQuery = ''; // Current search box text
+let manifestHash = null; // Hash of the game manifest allGames was built from
+let gameManifest = null; // Manifest allGames was built from (rebuilt when a config changes)
+let popupPlatforms = []; // Platforms behind the rendered popup buttons
+let popupGame = null; // Game whose card opened the popup (null = sticky register button)
+let currentSlide = 0; // Carousel slide on screen (back to 0 when banners.json re-renders the slides)
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
-/**
- * Gets the current 1-minute time window as a seed
- */
-function getTimeSeed() {
-    const now = new Date();
-    const totalMinutes = now.getFullYear() * 525600 +
-                        now.getMonth() * 43800 +
-                        now.getDate() * 1440 +
-                        now.getHours() * 60 +
-                        now.getMinutes(); // Changed: now uses exact minute (no division by 10)
-    return totalMinutes;
-}
+// Shared RTP engine (rtp-engine.js), also used by test_rtp.html
+const rtpEngine = RTPEngine.createEngine({
+    updateWindow: CONFIG.updateWindow,
+    ranges: CONFIG.rtpRanges,
+    multipliers: CONFIG.multipliers
+});
 
 /**
- * Seeded random number generator using mulberry32
+ * Generates a time-based RTP percentage for a specific game
  */
-function seededRandom(seed) {
-    seed = Math.abs(seed | 0);
-    let t = seed += 0x6D2B79F5;
-    t = Math.imul(t ^ t >>> 15, t | 1);
-    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+function generateRandomRTP(gameId) {
+    return rtpEngine.generateRandomRTP(gameId);
 }
 
 /**
- * Generates a seeded random integer between min and max
+ * Generates a time-based multiplier configuration with Manual/Auto text
  */
-function getSeededRandomInt(seed, min, max) {
-    seed = (seed * 9301 + 49297) % 233280;
-    const random = seededRandom(seed);
-    return Math.floor(random * (max - min + 1)) + min;
+function generateRandomMultiplier(gameId) {
+    return rtpEngine.generateRandomMultiplier(gameId);
 }
 
 /**
- * Converts a string to a numeric hash for seeding
+ * Determines the color class for RTP bar
  */
-function stringToHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash;
-    }
-    return Math.abs(hash);
+function getRTPColorClass(rtp) {
+    if (rtp >= 70) return 'high';
+    if (rtp >= 50) return 'medium';
+    return 'low';
 }
 
 /**
- * Generates a time-based RTP percentage for a specific game
+ * Escapes text for safe use inside innerHTML templates
  */
-function generateRandomRTP(gameId) {
-    const timeSeed = getTimeSeed();
-    const gameNumericId = typeof gameId === 'string' ? stringToHash(gameId) : gameId;
-    const combinedSeed = timeSeed * 1000 + gameNumericId;
-    return getSeededRandomInt(combinedSeed, CONFIG.rtpRanges.min, CONFIG.rtpRanges.max);
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
+// ============================================
+// GAME LOADING FUNCTIONS
+// ============================================
+
 /**
- * Generates a time-based multiplier configuration with Manual/Auto text
+ * Builds a game object from a provider image, merging in its GAME_DATA catalog entry
+ * @param {Object} [meta] - Image metadata from get_images.php v2 ({ size, width, height, mtime })
  */
-function generateRandomMultiplier(gameId) {
-    const timeSeed = getTimeSeed();
-    const gameNumericId = typeof gameId === 'string' ? stringToHash(gameId) : gameId;
-    
-    const multiplierSeed = (timeSeed * 1000 + gameNumericId) * 7;
-    const multiplierIndex = getSeededRandomInt(multiplierSeed, 0, CONFIG.multipliers.length - 1);
-    const multiplier = CONFIG.multipliers[multiplierIndex];
-    
-    // Randomly determine if it's Manual or Auto (changes every minute)
-    const textSeed = (timeSeed * 1000 + gameNumericId) * 11;
-    const isManual = getSeededRandomInt(textSeed, 0, 1) === 1;
-    const text = isManual ? 'Manual' : 'Auto';
+function buildGame(provider, imageName, meta) {
+    const entry = findCatalogEntry(provider, imageName);
+    const priority = window.detectGamePriority 
+        ? window.detectGamePriority(imageName, provider) 
+        : 4;
     
     return {
-        value: multiplier.value,
-        type: multiplier.type,
-        text: text
+        id: getGameSlug(provider, imageName),
+        provider: provider,
+        imageName: imageName,
+        imagePath: `images/${provider}/${imageName}`,
+        title: entry ? entry.title : null,
+        publishedRTP: entry ? entry.rtp : null,
+        volatility: entry ? entry.volatility : null,
+        releaseDate: entry ? entry.releaseDate : null,
+        tags: entry ? entry.tags : [],
+        aliases: entry && entry.aliases ? entry.aliases : [],
+        image: {
+            size: meta && meta.size != null ? meta.size : null,
+            width: meta && meta.width != null ? meta.width : null,
+            height: meta && meta.height != null ? meta.height : null,
+            modified: meta && meta.mtime ? new Date(meta.mtime * 1000) : null,
+            variants: meta && meta.variants ? meta.variants : null // { widths, formats } from build-image-variants.js
+        },
+        priority: priority
     };
 }
 
 /**
- * Determines the color class for RTP bar
+ * Reads one image from a get_images.php response as { name, size, width, height, mtime }.
+ * v1 lists bare filenames, v2 lists the metadata objects.
  */
-function getRTPColorClass(rtp) {
-    if (rtp >= 70) return 'high';
-    if (rtp >= 50) return 'medium';
-    return 'low';
+function parseApiImage(image, version) {
+    if (version >= 2 && image && typeof image === 'object') {
+        return image;
+    }
+    return { name: String(image) };
 }
 
-// ============================================
-// GAME LOADING FUNCTIONS
-// ============================================
+/**
+ * Returns the name shown for a game (provider name when it is not catalogued yet)
+ */
+function getGameDisplayTitle(game) {
+    if (game.title) return game.title;
+    const provider = PROVIDERS[game.provider];
+    return provider ? provider.displayName : game.provider;
+}
 
 /**
- * Automatically discover and load all games from provider folders
+ * Fetches the game manifest: get_images.php first, provider_image_lists.js as fallback.
+ * The preview asks for ?preview=1 so providers come from the draft providers.json.
+ * @returns {Promise<{source: string, providers: Object}|null>} providers maps folder -> image objects
  */
-async function loadAllGames() {
-    allGames = [];
-    
+async function fetchGameManifest() {
     try {
         // Try PHP API first (dynamic discovery)
-        const response = await fetch('get_images.php');
+        const response = await fetch(isPreviewMode() ? 'get_images.php?preview=1' : 'get_images.php');
         
         if (response.ok) {
             const data = await response.json();
             
             if (data.success && data.providers) {
-                // Load from API response
+                // v1 has no version field
+                const version = data.version || 1;
+                const providers = {};
                 for (const [provider, images] of Object.entries(data.providers)) {
-                    images.forEach(imageName => {
-                        const gameId = `${provider}/${imageName}`;
-                        const priority = window.detectGamePriority 
-                            ? window.detectGamePriority(imageName, provider) 
-                            : 4;
-                        
-                        allGames.push({
-                            id: gameId,
-                            provider: provider,
-                            imageName: imageName,
-                            imagePath: `images/${provider}/${imageName}`,
-                            priority: priority
-                        });
-                    });
-                }
-                
-                // Sort by popularity
-                if (window.sortGamesByPopularity) {
-                    allGames = window.sortGamesByPopularity(allGames);
-                    console.log(`✅ Loaded and sorted ${allGames.length} games by popularity`);
-                } else {
-                    console.log(`✅ Loaded ${allGames.length} games dynamically`);
+                    providers[provider] = images.map(image => parseApiImage(image, version));
                 }
-                
-                return;
+                return { source: 'api', providers };
             }
         }
     } catch (error) {
@@ -181,36 +174,159 @@ async function loadAllGames() {
     
     // Fallback: Use provider_image_lists.js if PHP not available
     if (window.PROVIDER_IMAGES) {
+        const providers = {};
         for (const [provider, images] of Object.entries(window.PROVIDER_IMAGES)) {
-            images.forEach(imageName => {
-                const gameId = `${provider}/${imageName}`;
-                const priority = window.detectGamePriority 
-                    ? window.detectGamePriority(imageName, provider) 
-                    : 4;
-                
-                allGames.push({
-                    id: gameId,
-                    provider: provider,
-                    imageName: imageName,
-                    imagePath: `images/${provider}/${imageName}`,
-                    priority: priority
-                });
-            });
+            providers[provider] = images.map(name => ({ name }));
         }
+        return { source: 'fallback', providers };
+    }
+    
+    return null;
+}
+
+/**
+ * Builds the sorted game list from a manifest (providers missing from providers.json are skipped)
+ */
+function buildGamesFromManifest(manifest) {
+    let games = [];
+    
+    for (const [provider, images] of Object.entries(manifest.providers)) {
+        if (!PROVIDERS[provider]) continue; // Disabled or not in providers.json
+        images.forEach(image => {
+            games.push(buildGame(provider, image.name, image));
+        });
+    }
+    
+    // Sort by popularity
+    if (window.sortGamesByPopularity) {
+        games = window.sortGamesByPopularity(games);
+    }
+    
+    // Then pins, hidden games and provider order from curation.json
+    if (window.applyCuration) {
+        const curated = window.applyCuration(games);
+        curated.unknown.forEach(id => console.warn(`⚠️ curation.json references an unknown game: ${id}`));
+        games = curated.games;
+    }
+    
+    return games;
+}
+
+// ============================================
+// MANIFEST CACHE (stale-while-revalidate)
+// ============================================
+
+const MANIFEST_CACHE_KEY = 'rtppop:gameManifest';
+
+/**
+ * Short hash of a manifest, used to skip re-rendering when nothing changed
+ */
+function hashManifest(manifest) {
+    return RTPEngine.stringToHash(JSON.stringify(manifest.providers)).toString(36);
+}
+
+/**
+ * Reads the cached manifest from localStorage (never in the preview, it would show the live providers)
+ * @returns {{hash: string, savedAt: number, manifest: Object}|null}
+ */
+function readCachedManifest() {
+    if (isPreviewMode()) return null;
+    
+    try {
+        const cached = JSON.parse(localStorage.getItem(MANIFEST_CACHE_KEY));
+        return cached && cached.hash && cached.manifest && cached.manifest.providers ? cached : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Saves a manifest to localStorage (ignored when storage is full or disabled, and in the preview)
+ */
+function saveCachedManifest(manifest, hash) {
+    if (isPreviewMode()) return;
+    
+    try {
+        localStorage.setItem(MANIFEST_CACHE_KEY, JSON.stringify({ hash, savedAt: Date.now(), manifest }));
+    } catch (error) {
+        console.warn('⚠️ Could not cache the game manifest:', error.message);
+    }
+}
+
+/**
+ * Automatically discover and load all games from provider folders.
+ * Uses the cached manifest when there is one so the grid paints right away.
+ * @returns {Promise<boolean>} true when loaded from cache (call revalidateGameManifest afterwards)
+ */
+async function loadAllGames() {
+    allGames = [];
+    
+    const cached = readCachedManifest();
+    if (cached) {
+        allGames = buildGamesFromManifest(cached.manifest);
         
-        // Sort by popularity
-        if (window.sortGamesByPopularity) {
-            allGames = window.sortGamesByPopularity(allGames);
-            console.log(`✅ Loaded and sorted ${allGames.length} games by popularity`);
-        } else {
-            console.log(`✅ Loaded ${allGames.length} games from provider_image_lists.js`);
+        if (allGames.length > 0) {
+            gameManifest = cached.manifest;
+            manifestHash = cached.hash;
+            console.log(`⚡ Loaded ${allGames.length} games from cache, revalidating...`);
+            return true;
         }
-        
+    }
+    
+    const manifest = await fetchGameManifest();
+    
+    if (!manifest) {
+        // If both methods fail
+        console.error('❌ Could not load games. Please ensure get_images.php is working or provider_image_lists.js is loaded.');
+        return false;
+    }
+    
+    gameManifest = manifest;
+    manifestHash = hashManifest(manifest);
+    if (manifest.source === 'api') {
+        saveCachedManifest(manifest, manifestHash);
+    }
+    
+    allGames = buildGamesFromManifest(manifest);
+    console.log(`✅ Loaded and sorted ${allGames.length} games (${manifest.source === 'api' ? 'get_images.php' : 'provider_image_lists.js'})`);
+    return false;
+}
+
+/**
+ * Fetches a fresh manifest in the background and re-renders only if its hash changed.
+ * Keeps the cached games when get_images.php can't be reached.
+ */
+async function revalidateGameManifest() {
+    const manifest = await fetchGameManifest();
+    if (!manifest || manifest.source !== 'api') return;
+    
+    const hash = hashManifest(manifest);
+    if (hash === manifestHash) {
+        console.log('✅ Game manifest unchanged');
         return;
     }
     
-    // If both methods fail
-    console.error('❌ Could not load games. Please ensure get_images.php is working or provider_image_lists.js is loaded.');
+    saveCachedManifest(manifest, hash);
+    gameManifest = manifest;
+    manifestHash = hash;
+    rebuildGames();
+    console.log(`🔄 Game manifest changed, re-rendered ${allGames.length} games`);
+}
+
+/**
+ * Rebuilds allGames from gameManifest and re-renders the provider menu and the grid
+ */
+function rebuildGames() {
+    allGames = buildGamesFromManifest(gameManifest);
+    
+    // Fall back to TODOS when the selected provider disappeared
+    if (currentProvider !== 'all' && !allGames.some(game => game.provider === currentProvider)) {
+        currentProvider = 'all';
+        document.getElementById('currentProviderName').textContent = 'TODOS';
+    }
+    
+    buildProviderMenu();
+    renderGameCards();
 }
 
 /**
@@ -224,6 +340,97 @@ function filterGamesByProvider(provider) {
     return allGames.filter(game => game.provider === provider);
 }
 
+// ============================================
+// SEARCH FUNCTIONALITY
+// ============================================
+
+/**
+ * Lowercases text and strips accents so "Dragão" matches "dragao"
+ */
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Finds an accent-insensitive match of query in text
+ * @returns {{start: number, end: number}|null} Match range in the original text
+ */
+function findSearchMatch(text, query) {
+    const normalizedQuery = normalizeSearchText(query.trim());
+    if (!text || !normalizedQuery) return null;
+    
+    // Normalize per character so normalized offsets map back to the original text
+    let normalized = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+        const part = normalizeSearchText(text[i]);
+        for (let j = 0; j < part.length; j++) offsets.push(i);
+        normalized += part;
+    }
+    
+    const index = normalized.indexOf(normalizedQuery);
+    if (index === -1) return null;
+    
+    return {
+        start: offsets[index],
+        end: offsets[index + normalizedQuery.length - 1] + 1
+    };
+}
+
+/**
+ * Finds where the search query matches a game: its title first, then its aliases
+ * @returns {{text: string, start: number, end: number, isAlias: boolean}|null}
+ */
+function getGameSearchMatch(game, query) {
+    const candidates = [game.title, ...game.aliases];
+    for (let i = 0; i < candidates.length; i++) {
+        const match = findSearchMatch(candidates[i], query);
+        if (match) {
+            return { text: candidates[i], start: match.start, end: match.end, isAlias: i > 0 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Wraps the matched range of text in <mark>, escaping everything
+ */
+function highlightText(text, match) {
+    return escapeHTML(text.slice(0, match.start)) +
+        `<mark>${escapeHTML(text.slice(match.start, match.end))}</mark>` +
+        escapeHTML(text.slice(match.end));
+}
+
+/**
+ * Games for the current provider filter and search query
+ */
+function getFilteredGames() {
+    const games = filterGamesByProvider(currentProvider);
+    if (!searchQuery.trim()) return games;
+    
+    return games.filter(game => getGameSearchMatch(game, searchQuery));
+}
+
+/**
+ * Sets up the header search box
+ */
+function setupSearch() {
+    const searchInput = document.getElementById('gameSearch');
+    if (!searchInput) return;
+    
+    let debounceTimer;
+    searchInput.addEventListener('input', function() {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(() => {
+            searchQuery = this.value;
+            renderGameCards();
+            console.log(`🔍 Busca: "${searchQuery}" (${visibleGames.length} jogos)`);
+        }, 200);
+    });
+    
+    console.log('✅ Search initialized');
+}
+
 // ============================================
 // GAME CARD GENERATION
 // ============================================
@@ -232,9 +439,8 @@ function filterGamesByProvider(provider) {
  * Creates a single game card element
  */
 function createGameCard(game, index) {
-    const rtp = generateRandomRTP(game.id);
-    const multiplier = generateRandomMultiplier(game.id);
-    const colorClass = getRTPColorClass(rtp);
+    const showPublished = CONFIG.rtpDisplay === 'published' || CONFIG.rtpDisplay === 'both';
+    const showGenerated = CONFIG.rtpDisplay === 'generated' || CONFIG.rtpDisplay === 'both';
     
     // Create card container
     const card = document.createElement('div');
@@ -243,30 +449,28 @@ function createGameCard(game, index) {
     card.setAttribute('data-game-id', game.id);
     card.setAttribute('data-provider', game.provider);
     
+    const title = escapeHTML(getGameDisplayTitle(game));
+    
     // Build card HTML
     card.innerHTML = `
         <div class="game-image">
-            <img src="${game.imagePath}" alt="${game.provider} Game" loading="lazy">
+            ${buildImageHTML(game, title)}
         </div>
         <div class="game-info">
-            <div class="multiplier">
-                <div class="multiplier-text">${multiplier.value} ${multiplier.text}</div>
-            </div>
-            <div class="rtp-container">
-                <div class="rtp-bar-wrapper">
-                    <div class="rtp-bar ${colorClass}" style="width: 0%" data-rtp="${rtp}">
-                        ${rtp}%
-                    </div>
-                </div>
-            </div>
+            ${buildTitleHTML(game)}
+            ${showPublished ? buildPublishedRTPHTML(game) : ''}
+            ${showGenerated ? buildGeneratedRTPHTML(game) : ''}
         </div>
     `;
     
-    // Add click handler to open popup
+    // Placeholder art when the thumbnail can't load
+    setupCardImageFallback(card, game);
+    
+    // Add click handler to open popup for this game
     card.addEventListener('click', function(e) {
         e.preventDefault();
-        openPopup();
-        console.log(`🎮 Game card clicked: ${game.provider} - ${game.imageName}`);
+        openPopup(game);
+        console.log(`🎮 Game card clicked: ${game.provider} - ${getGameDisplayTitle(game)} (${game.imageName})`);
     });
     
     // Add cursor pointer style
@@ -275,40 +479,337 @@ function createGameCard(game, index) {
     return card;
 }
 
+/**
+ * Builds the card image, as a <picture> with AVIF/WebP srcsets when resized variants exist
+ */
+function buildImageHTML(game, title) {
+    const img = `<img src="${escapeHTML(game.imagePath)}" alt="${title}" loading="lazy">`;
+    const variants = game.image && game.image.variants;
+    
+    if (!variants || !variants.widths || variants.widths.length === 0) {
+        return img;
+    }
+    
+    // Folder names have spaces, which would split srcset candidates
+    const sources = variants.formats.map(format => {
+        const srcset = variants.widths
+            .map(width => `${encodeURI(getImageVariantPath(game.provider, game.imageName, width, format))} ${width}w`)
+            .join(', ');
+        return `<source type="image/${format}" srcset="${escapeHTML(srcset)}" sizes="${CONFIG.imageSizes}">`;
+    }).join('');
+    
+    return `<picture>${sources}${img}</picture>`;
+}
+
+// ============================================
+// IMAGE ERROR HANDLING
+// ============================================
+
+const IMAGE_ERROR_LOG_KEY = 'rtppop:imageErrors';
+const IMAGE_ERROR_LOG_LIMIT = 100; // Most recent failures kept in the log
+
+/**
+ * Client-side diagnostics log of thumbnails that failed to load
+ * @returns {{counts: Object<string, number>, entries: Array<{src: string, gameId: string, provider: string, at: string}>}}
+ */
+function getImageErrorLog() {
+    try {
+        const log = JSON.parse(localStorage.getItem(IMAGE_ERROR_LOG_KEY));
+        if (log && log.counts && Array.isArray(log.entries)) return log;
+    } catch (error) {
+        // Corrupt or unavailable storage starts a new log
+    }
+    return { counts: {}, entries: [] };
+}
+
+/**
+ * Records a failed image in the diagnostics log
+ * @returns {number} How many times this path has failed so far
+ */
+function logImageError(game, src) {
+    const log = getImageErrorLog();
+    log.counts[src] = (log.counts[src] || 0) + 1;
+    log.entries.push({ src, gameId: game.id, provider: game.provider, at: new Date().toISOString() });
+    log.entries = log.entries.slice(-IMAGE_ERROR_LOG_LIMIT);
+    
+    try {
+        localStorage.setItem(IMAGE_ERROR_LOG_KEY, JSON.stringify(log));
+    } catch (error) {
+        // Storage full or disabled, the console warning below still reports it
+    }
+    
+    console.warn(`🖼️ Image failed to load (${log.counts[src]}x): ${src}`);
+    return log.counts[src];
+}
+
+/**
+ * Empties the diagnostics log (also resets the failure counts used by CONFIG.hideBrokenCardsAfter)
+ */
+function clearImageErrorLog() {
+    try {
+        localStorage.removeItem(IMAGE_ERROR_LOG_KEY);
+    } catch (error) {
+        // Storage unavailable, nothing was logged
+    }
+    console.log('🖼️ Image error log cleared');
+}
+
+// Diagnostics from the browser console
+window.getImageErrorLog = getImageErrorLog;
+window.clearImageErrorLog = clearImageErrorLog;
+
+/**
+ * Placeholder shown instead of a broken thumbnail: provider emoji, provider name and game title
+ */
+function buildImagePlaceholderHTML(game) {
+    const provider = PROVIDERS[game.provider];
+    const providerName = provider ? provider.displayName : game.provider;
+    
+    return `
+        <div class="game-image-placeholder" role="img" aria-label="${escapeHTML(getGameDisplayTitle(game))}">
+            <span class="placeholder-icon">${provider ? provider.emoji : '🎮'}</span>
+            <span class="placeholder-provider">${escapeHTML(providerName)}</span>
+            ${game.title ? `<span class="placeholder-title">${escapeHTML(game.title)}</span>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Falls back from a missing resized variant to the original file, then to placeholder art.
+ * Hides the card when CONFIG.hideBrokenCardsAfter is reached.
+ */
+function setupCardImageFallback(card, game) {
+    const img = card.querySelector('.game-image img');
+    if (!img) return;
+    
+    img.addEventListener('error', function handleImageError() {
+        const picture = img.closest('picture');
+        
+        // A variant failed: drop the <source>s and retry the original
+        if (picture && picture.querySelector('source')) {
+            logImageError(game, img.currentSrc || `${game.imagePath} (variant)`);
+            picture.querySelectorAll('source').forEach(source => source.remove());
+            img.src = game.imagePath;
+            return;
+        }
+        
+        img.removeEventListener('error', handleImageError);
+        const failures = logImageError(game, game.imagePath);
+        
+        card.querySelector('.game-image').innerHTML = buildImagePlaceholderHTML(game);
+        card.classList.add('image-missing');
+        
+        if (CONFIG.hideBrokenCardsAfter > 0 && failures >= CONFIG.hideBrokenCardsAfter) {
+            card.hidden = true;
+            console.warn(`🙈 Hiding ${game.id} after ${failures} image failures`);
+        }
+    });
+}
+
+/**
+ * Builds the card title, highlighting the current search match (title or alias)
+ */
+function buildTitleHTML(game) {
+    const title = getGameDisplayTitle(game);
+    const match = searchQuery.trim() ? getGameSearchMatch(game, searchQuery) : null;
+    
+    if (!match) {
+        return `<div class="game-title" title="${escapeHTML(title)}">${escapeHTML(title)}</div>`;
+    }
+    
+    if (!match.isAlias) {
+        return `<div class="game-title" title="${escapeHTML(title)}">${highlightText(title, match)}</div>`;
+    }
+    
+    return `
+            <div class="game-title" title="${escapeHTML(title)}">${escapeHTML(title)}</div>
+            <div class="game-alias">${highlightText(match.text, match)}</div>
+    `;
+}
+
+/**
+ * Builds the provider-published theoretical RTP line for a card
+ */
+function buildPublishedRTPHTML(game) {
+    if (game.publishedRTP === null || game.publishedRTP === undefined) {
+        return `
+            <div class="rtp-published unavailable">RTP teórico: não informado</div>
+        `;
+    }
+    
+    const formatted = game.publishedRTP.toLocaleString('pt-BR', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    return `
+            <div class="rtp-published" title="RTP teórico publicado pelo provedor">RTP teórico: ${formatted}%</div>
+    `;
+}
+
+/**
+ * Builds the time-based generated multiplier and RTP bar for a card.
+ * The value is simulated, so it always carries a visible disclaimer.
+ */
+function buildGeneratedRTPHTML(game) {
+    const rtp = generateRandomRTP(game.id);
+    const multiplier = generateRandomMultiplier(game.id);
+    const colorClass = getRTPColorClass(rtp);
+    
+    return `
+            <div class="multiplier">
+                <div class="multiplier-text">${multiplier.value} ${multiplier.text}</div>
+            </div>
+            <div class="rtp-container">
+                <div class="rtp-bar-wrapper">
+                    <div class="rtp-bar ${colorClass}" style="width: 0%" data-rtp="${rtp}">
+                        ${rtp}%
+                    </div>
+                </div>
+                <div class="rtp-disclaimer">Valor simulado · não é medição real de pagamento</div>
+            </div>
+    `;
+}
+
 
 // ============================================
 // RENDERING FUNCTIONS
 // ============================================
 
 /**
- * Renders all game cards to the grid
+ * Renders the first page of game cards to the grid (full rebuild, used on load and provider change)
  */
- function renderGameCards() {
+function renderGameCards() {
     const grid = document.getElementById('gamesGrid');
     grid.innerHTML = '';
     
     // Get filtered games
-    const filteredGames = filterGamesByProvider(currentProvider);
+    visibleGames = getFilteredGames();
+    renderedCount = 0;
+    
+    if (visibleGames.length === 0 && searchQuery.trim()) {
+        grid.innerHTML = `<p class="games-empty">Nenhum jogo encontrado para "${escapeHTML(searchQuery.trim())}"</p>`;
+    }
     
-    // Show all games (no limit)
-    const maxCards = filteredGames.length;
+    renderNextPage();
+}
+
+/**
+ * Number of cards added per page (CONFIG.gamesPerProvider, 0 = everything at once)
+ */
+function getPageSize() {
+    return CONFIG.gamesPerProvider > 0 ? CONFIG.gamesPerProvider : visibleGames.length;
+}
+
+/**
+ * Whether more filtered games are waiting to be rendered
+ */
+function hasMoreGames() {
+    return showAllGames && renderedCount < visibleGames.length;
+}
+
+/**
+ * Appends the next page of game cards to the grid
+ */
+function renderNextPage() {
+    const grid = document.getElementById('gamesGrid');
+    const page = visibleGames.slice(renderedCount, renderedCount + getPageSize());
+    const fragment = document.createDocumentFragment();
+    const newBars = [];
     
-    // Create and append cards
-    for (let i = 0; i < maxCards; i++) {
-        const game = filteredGames[i];
+    // Create cards (animation delay restarts on every page)
+    page.forEach((game, i) => {
         const card = createGameCard(game, i);
-        grid.appendChild(card);
+        const bar = card.querySelector('.rtp-bar');
+        if (bar) newBars.push(bar);
+        fragment.appendChild(card);
+    });
+    
+    grid.appendChild(fragment);
+    renderedCount += page.length;
+    
+    // Animate RTP bars of the new cards
+    setTimeout(() => animateRTPBars(newBars), 100);
+    
+    updateGridSentinel();
+}
+
+/**
+ * Shows the "load more" sentinel while games remain and re-arms the observer,
+ * so a page that does not fill the viewport triggers the next one
+ */
+function updateGridSentinel() {
+    const sentinel = document.getElementById('gamesGridSentinel');
+    if (!sentinel) return;
+    
+    sentinel.hidden = !hasMoreGames();
+    
+    if (gridObserver) {
+        gridObserver.unobserve(sentinel);
+        if (hasMoreGames()) gridObserver.observe(sentinel);
+    }
+}
+
+/**
+ * Loads further pages as the user scrolls near the end of the grid
+ */
+function setupInfiniteScroll() {
+    const sentinel = document.getElementById('gamesGridSentinel');
+    if (!sentinel) return;
+    
+    if (!('IntersectionObserver' in window)) {
+        // No observer support: fall back to a "load more" click
+        sentinel.addEventListener('click', () => {
+            if (hasMoreGames()) renderNextPage();
+        });
+        return;
     }
     
-    // Animate RTP bars
-    setTimeout(animateRTPBars, 100);
+    gridObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting) && hasMoreGames()) {
+            renderNextPage();
+        }
+    }, { rootMargin: '600px 0px' });
+    
+    updateGridSentinel();
+    console.log('✅ Infinite scroll initialized');
+}
+
+/**
+ * Refreshes RTP bars and multiplier labels of the rendered cards in place,
+ * keeping the existing .game-card nodes (keyed by data-game-id) and their images
+ */
+function updateGameCards() {
+    const cards = document.querySelectorAll('#gamesGrid .game-card');
+    cards.forEach(updateGameCard);
 }
 
 /**
- * Animates all RTP progress bars
+ * Updates the generated values of a single card for the current time window
  */
-function animateRTPBars() {
-    const rtpBars = document.querySelectorAll('.rtp-bar');
+function updateGameCard(card) {
+    const bar = card.querySelector('.rtp-bar');
+    if (!bar) return; // 'published' display mode has no generated values
+    
+    const gameId = card.getAttribute('data-game-id');
+    const rtp = generateRandomRTP(gameId);
+    const multiplier = generateRandomMultiplier(gameId);
+    
+    bar.className = `rtp-bar ${getRTPColorClass(rtp)}`;
+    bar.setAttribute('data-rtp', rtp);
+    bar.style.width = `${rtp}%`;
+    bar.textContent = `${rtp}%`;
+    
+    const multiplierText = card.querySelector('.multiplier-text');
+    if (multiplierText) {
+        multiplierText.textContent = `${multiplier.value} ${multiplier.text}`;
+    }
+}
+
+/**
+ * Animates RTP progress bars (all bars on the page when none are given)
+ */
+function animateRTPBars(bars) {
+    const rtpBars = bars || document.querySelectorAll('.rtp-bar');
     rtpBars.forEach((bar, index) => {
         const targetRTP = parseInt(bar.getAttribute('data-rtp'));
         setTimeout(() => {
@@ -321,13 +822,85 @@ function animateRTPBars() {
 // HAMBURGER MENU FUNCTIONALITY
 // ============================================
 
+/**
+ * Providers present in allGames, ordered by PROVIDERS priority (registry order breaks ties)
+ * @returns {Array<{key: string, displayName: string, emoji: string, logo: string|null, count: number}>}
+ */
+function getProviderMenuEntries() {
+    const counts = {};
+    allGames.forEach(game => {
+        counts[game.provider] = (counts[game.provider] || 0) + 1;
+    });
+    
+    const registryOrder = Object.keys(PROVIDERS);
+    
+    return Object.keys(counts)
+        .map(key => {
+            const provider = PROVIDERS[key] || {};
+            return {
+                key: key,
+                displayName: provider.displayName || key,
+                emoji: provider.emoji || '🎮',
+                logo: provider.logo || null,
+                priority: provider.priority || 99,
+                order: registryOrder.includes(key) ? registryOrder.indexOf(key) : registryOrder.length,
+                count: counts[key]
+            };
+        })
+        .sort((a, b) => a.priority - b.priority || a.order - b.order || a.key.localeCompare(b.key));
+}
+
+/**
+ * Builds one provider menu button
+ */
+function createProviderItem(provider, label, count, icon) {
+    const item = document.createElement('button');
+    item.className = 'provider-item';
+    item.setAttribute('data-provider', provider);
+    item.innerHTML = `
+        <span class="provider-text">${icon} ${escapeHTML(label)}</span>
+        <span class="provider-game-count">(${count})</span>
+    `;
+    return item;
+}
+
+/**
+ * Builds the provider menu from PROVIDERS with live counts from allGames
+ */
+function buildProviderMenu() {
+    const providerMenu = document.getElementById('providerMenu');
+    const currentProviderCount = document.getElementById('currentProviderCount');
+    if (!providerMenu) return;
+    
+    providerMenu.innerHTML = '';
+    
+    const allItem = createProviderItem('all', 'TODOS', allGames.length, '🎮');
+    allItem.classList.toggle('active', currentProvider === 'all');
+    providerMenu.appendChild(allItem);
+    
+    getProviderMenuEntries().forEach(entry => {
+        const icon = entry.logo
+            ? `<img class="provider-logo" src="${escapeHTML(entry.logo)}" alt="">`
+            : entry.emoji;
+        const item = createProviderItem(entry.key, entry.displayName.toUpperCase(), entry.count, icon);
+        item.classList.toggle('active', currentProvider === entry.key);
+        providerMenu.appendChild(item);
+    });
+    
+    const activeItem = providerMenu.querySelector('.provider-item.active');
+    if (currentProviderCount && activeItem) {
+        currentProviderCount.textContent = activeItem.querySelector('.provider-game-count').textContent;
+    }
+}
+
 /**
  * Sets up the hamburger provider menu
  */
 function setupHamburgerMenu() {
+    buildProviderMenu();
+    
     const hamburgerBtn = document.getElementById('hamburgerBtn');
     const providerMenu = document.getElementById('providerMenu');
-    const providerItems = document.querySelectorAll('.provider-item');
     const currentProviderName = document.getElementById('currentProviderName');
     const currentProviderCount = document.getElementById('currentProviderCount');
     
@@ -346,42 +919,43 @@ function setupHamburgerMenu() {
         }
     });
     
-    // Handle provider selection
-    providerItems.forEach(item => {
-        item.addEventListener('click', function(e) {
-            e.stopPropagation();
-            
-            // Update active state
-            providerItems.forEach(i => i.classList.remove('active'));
-            this.classList.add('active');
-            
-            // Get provider info
-            const provider = this.getAttribute('data-provider');
-            const providerText = this.querySelector('.provider-text').textContent;
-            const providerCount = this.querySelector('.provider-game-count').textContent;
-            
-            // Update hamburger button text
-            currentProviderName.textContent = providerText;
-            currentProviderCount.textContent = providerCount;
-            
-            // Update current provider
-            currentProvider = provider;
-            
-            // Reset to showing all games
-            showAllGames = true;
-            
-            // Render games
-            renderGameCards();
-            
-            // Close menu
-            providerMenu.classList.remove('active');
-            
-            // Scroll to games grid
-            const gamesGrid = document.getElementById('gamesGrid');
-            gamesGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            
-            console.log(`📊 Switched to provider: ${providerText}`);
-        });
+    // Handle provider selection (delegated, the menu is rebuilt when the manifest changes)
+    providerMenu.addEventListener('click', function(e) {
+        const item = e.target.closest('.provider-item');
+        if (!item) return;
+        
+        e.stopPropagation();
+        
+        // Update active state
+        providerMenu.querySelectorAll('.provider-item').forEach(i => i.classList.remove('active'));
+        item.classList.add('active');
+        
+        // Get provider info
+        const provider = item.getAttribute('data-provider');
+        const providerText = item.querySelector('.provider-text').textContent;
+        const providerCount = item.querySelector('.provider-game-count').textContent;
+        
+        // Update hamburger button text
+        currentProviderName.textContent = providerText;
+        currentProviderCount.textContent = providerCount;
+        
+        // Update current provider
+        currentProvider = provider;
+        
+        // Reset to showing all games
+        showAllGames = true;
+        
+        // Render games
+        renderGameCards();
+        
+        // Close menu
+        providerMenu.classList.remove('active');
+        
+        // Scroll to games grid
+        const gamesGrid = document.getElementById('gamesGrid');
+        gamesGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        
+        console.log(`📊 Switched to provider: ${providerText}`);
     });
     
     console.log('✅ Hamburger menu initialized');
@@ -393,22 +967,56 @@ function setupHamburgerMenu() {
 // ============================================
 
 /**
- * Sets up the banner carousel with auto-slide and navigation
+ * Renders the carousel slides and dots from a banners.json object and goes back to the first slide
+ * (index.html keeps its slides when the list is empty)
+ */
+function renderBanners(config) {
+    const track = document.getElementById('carouselTrack');
+    const dots = document.getElementById('carouselDots');
+    const banners = ((config && config.banners) || []).filter(banner => banner && banner.image);
+    if (!track || !dots || banners.length === 0) return;
+    
+    track.innerHTML = banners.map(banner => `
+        <div class="carousel-slide">
+            <img src="${escapeHTML(encodeURI(banner.image))}" alt="${escapeHTML(banner.alt || '')}">
+        </div>
+    `).join('');
+    dots.innerHTML = banners.map((banner, index) =>
+        `<span class="dot${index === 0 ? ' active' : ''}" data-slide="${index}"></span>`
+    ).join('');
+    
+    currentSlide = 0;
+    track.style.transform = '';
+    console.log(`✅ Rendered ${banners.length} banners from banners.json`);
+}
+
+/**
+ * Loads banners.json into the carousel (index.html keeps its slides when it can't be loaded)
+ */
+async function loadBanners() {
+    try {
+        const { data } = await fetchConfig('banners.json');
+        renderBanners(data);
+    } catch (error) {
+        console.warn('⚠️ banners.json not available, using the banners in index.html');
+    }
+}
+
+/**
+ * Sets up the banner carousel with auto-slide and navigation.
+ * Slides and dots are looked up on every move since renderBanners() can replace them.
  */
 function setupCarousel() {
     const track = document.getElementById('carouselTrack');
-    const slides = document.querySelectorAll('.carousel-slide');
     const prevBtn = document.getElementById('prevBtn');
     const nextBtn = document.getElementById('nextBtn');
-    const dots = document.querySelectorAll('.dot');
+    const dotsContainer = document.getElementById('carouselDots');
     
-    if (!track || slides.length === 0) {
+    if (!track || track.querySelectorAll('.carousel-slide').length === 0) {
         console.warn('⚠️ Carousel elements not found');
         return;
     }
     
-    let currentSlide = 0;
-    const totalSlides = slides.length;
     let autoSlideInterval;
     
     // Update carousel position
@@ -417,13 +1025,14 @@ function setupCarousel() {
         track.style.transform = `translateX(${offset}%)`;
         
         // Update dots
-        dots.forEach((dot, index) => {
+        document.querySelectorAll('.dot').forEach((dot, index) => {
             dot.classList.toggle('active', index === currentSlide);
         });
     }
     
     // Go to specific slide
     function goToSlide(index) {
+        const totalSlides = track.querySelectorAll('.carousel-slide').length;
         currentSlide = index;
         if (currentSlide < 0) currentSlide = totalSlides - 1;
         if (currentSlide >= totalSlides) currentSlide = 0;
@@ -461,12 +1070,13 @@ function setupCarousel() {
         prevBtn.addEventListener('click', prevSlide);
     }
     
-    // Dot navigation
-    dots.forEach((dot, index) => {
-        dot.addEventListener('click', () => {
-            goToSlide(index);
+    // Dot navigation (delegated, the dots are re-rendered with the banners)
+    if (dotsContainer) {
+        dotsContainer.addEventListener('click', (e) => {
+            const dot = e.target.closest('.dot');
+            if (dot) goToSlide([...dotsContainer.querySelectorAll('.dot')].indexOf(dot));
         });
-    });
+    }
     
     // Touch/Swipe support
     let touchStartX = 0;
@@ -507,7 +1117,7 @@ function setupCarousel() {
     updateCarousel();
     startAutoSlide();
     
-    console.log(`✅ Carousel initialized with ${totalSlides} slides`);
+    console.log(`✅ Carousel initialized with ${track.querySelectorAll('.carousel-slide').length} slides`);
 }
 
 // ============================================
@@ -515,17 +1125,61 @@ function setupCarousel() {
 // ============================================
 
 /**
- * Calculates time until next RTP update (next minute)
+ * Calculates time until next RTP update (end of the current CONFIG.updateWindow)
  */
 function getTimeUntilNextUpdate() {
-    const now = new Date();
-    const currentSeconds = now.getSeconds();
-    const currentMilliseconds = now.getMilliseconds();
+    return rtpEngine.getTimeUntilNextUpdate();
+}
+
+/**
+ * Describes an update window in Portuguese (e.g. "1 minuto", "1 hora e 30 minutos")
+ */
+function formatUpdateWindow(updateWindow) {
+    const units = [
+        [updateWindow.hours, 'hora', 'horas'],
+        [updateWindow.minutes, 'minuto', 'minutos'],
+        [updateWindow.seconds, 'segundo', 'segundos']
+    ];
+    const parts = units
+        .filter(([value]) => value)
+        .map(([value, singular, plural]) => `${value} ${value === 1 ? singular : plural}`);
+    
+    if (parts.length <= 1) return parts.join('');
+    return `${parts.slice(0, -1).join(', ')} e ${parts[parts.length - 1]}`;
+}
+
+/**
+ * Formats a countdown in milliseconds as m:ss (or h:mm:ss)
+ */
+function formatCountdown(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    
+    if (hours > 0) {
+        return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+    }
+    return `${minutes}:${seconds}`;
+}
+
+/**
+ * Shows the update window and a live countdown to the next RTP update
+ */
+function setupNextUpdateIndicator() {
+    const windowLabel = document.getElementById('nextUpdateWindow');
+    const countdown = document.getElementById('nextUpdateCountdown');
     
-    // Time until next minute (60 seconds - current seconds)
-    const msUntilNext = (60 - currentSeconds) * 1000 - currentMilliseconds;
+    if (!windowLabel || !countdown) return;
     
-    return msUntilNext;
+    windowLabel.textContent = formatUpdateWindow(CONFIG.updateWindow);
+    
+    const tick = () => {
+        countdown.textContent = formatCountdown(getTimeUntilNextUpdate());
+    };
+    
+    tick();
+    setInterval(tick, 1000);
 }
 
 /**
@@ -534,13 +1188,13 @@ function getTimeUntilNextUpdate() {
 function setupAutoRefresh() {
     const scheduleNextRefresh = () => {
         const timeUntilNext = getTimeUntilNextUpdate();
-        const nextUpdateTime = new Date(Date.now() + timeUntilNext);
+        const nextUpdateTime = new Date(Number(rtpEngine.now()) + timeUntilNext);
         
         console.log(`⏰ Próxima atualização de RTP: ${nextUpdateTime.toLocaleTimeString('pt-BR')}`);
         
         setTimeout(() => {
             console.log('🔄 Atualizando RTP values...');
-            renderGameCards();
+            updateGameCards();
             scheduleNextRefresh();
         }, timeUntilNext);
     };
@@ -559,7 +1213,7 @@ function setupPopupFunctionality() {
     const stickyBtn = document.getElementById('stickyRegisterBtn');
     const popupOverlay = document.getElementById('popupOverlay');
     const popupClose = document.getElementById('popupClose');
-    const popupButtons = document.querySelectorAll('.popup-btn');
+    const popupButtons = document.getElementById('popupButtons');
     
     if (!stickyBtn || !popupOverlay || !popupClose) {
         console.warn('⚠️ Popup elements not found');
@@ -590,34 +1244,61 @@ function setupPopupFunctionality() {
         }
     });
     
-    // Handle popup button clicks
-    popupButtons.forEach(button => {
-        button.addEventListener('click', function(e) {
-            e.preventDefault();
-            const url = this.getAttribute('data-url');
-            const platform = this.querySelector('span').textContent;
-            
-            console.log(`🔗 Redirecting to: ${platform} (${url})`);
-            
-            // For now, just log the action. Later you can replace with actual redirect
-            alert(`Redirecionando para: ${platform}\nURL: ${url}`);
-            
-            // Uncomment the line below when you want actual redirects
-            // window.open(url, '_blank');
-            
-            closePopup();
-        });
-    });
+    // One delegated handler for every platform button, including re-rendered ones
+    if (popupButtons) {
+        popupButtons.addEventListener('click', handlePopupButtonClick);
+    }
     
     console.log('✅ Popup functionality initialized');
 }
 
+/**
+ * Shared click handler of the popup platform buttons
+ */
+function handlePopupButtonClick(e) {
+    const button = e.target.closest('.popup-btn');
+    if (!button) return;
+    
+    e.preventDefault();
+    const platform = popupPlatforms[Number(button.dataset.platformIndex)];
+    
+    if (platform && platform.url) {
+        openPlatform(platform, popupGame);
+    } else {
+        console.warn('⚠️ Popup button without a platform URL');
+    }
+    
+    closePopup();
+}
+
+/**
+ * Opens a platform with the tracking parameters from platforms.json,
+ * in a new tab (without window.opener access) or in this tab
+ * @param {Object|null} [game] - Launched directly when it has a catalog.json entry and the platform a gameUrl template
+ */
+function openPlatform(platform, game) {
+    const url = getPlatformUrl(platform, game);
+    const openIn = getPlatformOpenIn(platform);
+    
+    console.log(`🔗 Redirecting to: ${platform.name} (${url}, ${openIn})`);
+    
+    if (openIn === 'same-tab') {
+        window.location.assign(url);
+    } else {
+        window.open(url, '_blank', 'noopener');
+    }
+}
+
 /**
  * Opens the popup modal
+ * @param {Object} [game] - Game card that opened it, shown in the header and used for direct links
  */
-function openPopup() {
+function openPopup(game) {
     const popupOverlay = document.getElementById('popupOverlay');
     if (popupOverlay) {
+        popupGame = game || null;
+        updatePopupGame(popupGame);
+        updatePopupButtonLinks(popupGame);
         popupOverlay.classList.add('active');
         document.body.style.overflow = 'hidden'; // Prevent background scrolling
         console.log('📱 Popup opened');
@@ -630,6 +1311,7 @@ function openPopup() {
 function closePopup() {
     const popupOverlay = document.getElementById('popupOverlay');
     if (popupOverlay) {
+        popupGame = null;
         popupOverlay.classList.remove('active');
         document.body.style.overflow = ''; // Restore scrolling
         console.log('📱 Popup closed');
@@ -637,54 +1319,188 @@ function closePopup() {
 }
 
 /**
- * Updates popup button URLs and images (for future use)
+ * Shows the thumbnail and title of the game that opened the popup (hidden for the sticky button)
+ */
+function updatePopupGame(game) {
+    const container = document.getElementById('popupGame');
+    if (!container) return;
+    
+    container.hidden = !game;
+    if (!game) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const title = escapeHTML(getGameDisplayTitle(game));
+    container.innerHTML = `
+        <div class="popup-game-thumb">${buildImageHTML(game, title)}</div>
+        <p class="popup-game-title">${title}</p>
+    `;
+    
+    // No broken image icon in the header, the title is enough
+    const thumb = container.querySelector('.popup-game-thumb');
+    thumb.querySelector('img').addEventListener('error', () => {
+        thumb.hidden = true;
+    });
+}
+
+/**
+ * Points the rendered platform buttons at the game's direct launch URL, or at the platform home
+ */
+function updatePopupButtonLinks(game) {
+    document.querySelectorAll('#popupButtons .popup-btn').forEach(button => {
+        const platform = popupPlatforms[Number(button.dataset.platformIndex)];
+        if (platform && platform.url) {
+            button.href = getPlatformUrl(platform, game);
+        }
+    });
+}
+
+/**
+ * Renders the popup buttons (POPUP_PLATFORMS from platforms.json at startup).
+ * Clicks go through handlePopupButtonClick().
  */
 function updatePopupButtons(buttonData) {
     const popupButtonsContainer = document.getElementById('popupButtons');
     if (!popupButtonsContainer || !buttonData) return;
     
     popupButtonsContainer.innerHTML = '';
+    popupPlatforms = buttonData.slice();
     
     buttonData.forEach((button, index) => {
         const buttonElement = document.createElement('a');
-        buttonElement.href = '#';
         buttonElement.className = button.image ? 'popup-btn popup-btn-image' : 'popup-btn';
-        buttonElement.setAttribute('data-url', button.url || '#');
+        buttonElement.dataset.platformIndex = index;
+        
+        // Real link target, so middle-click and "open in new tab" work too
+        if (button.url) {
+            buttonElement.href = getPlatformUrl(button, popupGame);
+            if (getPlatformOpenIn(button) === 'new-tab') {
+                buttonElement.target = '_blank';
+                buttonElement.rel = 'noopener';
+            }
+        } else {
+            buttonElement.href = '#';
+        }
         
         if (button.image) {
             // Full image button (no text)
-            buttonElement.innerHTML = `<img src="${button.image}" alt="${button.name || `POP ${index + 1}`}" />`;
+            buttonElement.innerHTML = `<img src="${escapeHTML(encodeURI(button.image))}" alt="${escapeHTML(button.name || `POP ${index + 1}`)}" />`;
         } else {
             // Legacy button with icon and text
             buttonElement.innerHTML = `
                 <div class="popup-btn-icon">
-                    ${button.icon || '🎰'}
+                    ${escapeHTML(button.icon || '🎰')}
                 </div>
-                <span>${button.name || `Plataforma ${index + 1}`}</span>
+                <span>${escapeHTML(button.name || `Plataforma ${index + 1}`)}</span>
             `;
         }
         
-        // Add click handler
-        buttonElement.addEventListener('click', function(e) {
-            e.preventDefault();
-            const url = this.getAttribute('data-url');
-            const platform = button.name || `POP Platform ${index + 1}`;
-            
-            console.log(`🔗 Redirecting to: ${platform} (${url})`);
-            alert(`Redirecionando para: ${platform}\nURL: ${url}`);
-            
-            // Uncomment for actual redirects
-            // window.open(url, '_blank');
-            
-            closePopup();
-        });
-        
         popupButtonsContainer.appendChild(buttonElement);
     });
     
+    // Empty slot keeps the two-column grid symmetric
+    if (buttonData.length % 2 === 1) {
+        const emptySlot = document.createElement('div');
+        emptySlot.className = 'popup-btn-empty';
+        popupButtonsContainer.appendChild(emptySlot);
+    }
+    
     console.log(`✅ Updated popup with ${buttonData.length} buttons`);
 }
 
+// ============================================
+// OFFLINE SUPPORT
+// ============================================
+
+/**
+ * Registers sw.js so the shell, manifest and viewed thumbnails work offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+    
+    navigator.serviceWorker.register('sw.js')
+        .then(() => console.log('✅ Service worker registered'))
+        .catch(error => console.warn('⚠️ Service worker registration failed:', error.message));
+}
+
+/**
+ * Shows the offline banner while the browser has no network
+ */
+function setupOfflineBanner() {
+    const banner = document.getElementById('offlineBanner');
+    if (!banner) return;
+    
+    const update = () => {
+        banner.hidden = navigator.onLine !== false;
+    };
+    
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    update();
+}
+
+// ============================================
+// CONFIG CACHE (stale-while-revalidate, like the game manifest)
+// ============================================
+
+// JSON configs and the function that applies each one, in the order they are applied
+const CONFIG_APPLIERS = {
+    'providers.json': applyProviderRegistry,
+    'catalog.json': applyGameCatalog,
+    'curation.json': applyCurationConfig,
+    'banners.json': renderBanners,
+    'platforms.json': applyPopupPlatforms
+};
+
+/**
+ * Applies the configs cached by the last visit, only when every one of them is cached
+ * @returns {boolean} true when applied (call revalidateConfigs afterwards)
+ */
+function applyCachedConfigs() {
+    const cached = Object.keys(CONFIG_APPLIERS).map(file => ({ file, data: readCachedConfig(file) }));
+    if (cached.some(({ data }) => data === null)) return false;
+    
+    cached.forEach(({ file, data }) => CONFIG_APPLIERS[file](data));
+    console.log('⚡ Configs loaded from cache, revalidating...');
+    return true;
+}
+
+/**
+ * Fetches every config in the background and re-renders what depends on the ones that changed.
+ * Keeps the cached configs when they can't be fetched.
+ */
+async function revalidateConfigs() {
+    const results = await Promise.all(Object.keys(CONFIG_APPLIERS).map(file =>
+        fetchConfig(file).then(result => ({ file, ...result })).catch(() => null)
+    ));
+    const changed = results.filter(result => result && result.changed).map(result => result.file);
+    if (changed.length === 0) {
+        console.log('✅ Configs unchanged');
+        return;
+    }
+    
+    results.forEach(result => {
+        if (result && result.changed) CONFIG_APPLIERS[result.file](result.data);
+    });
+    console.log(`🔄 ${changed.join(', ')} changed, re-rendering`);
+    
+    if (gameManifest && ['providers.json', 'catalog.json', 'curation.json'].some(file => changed.includes(file))) {
+        rebuildGames();
+    }
+    if (changed.includes('platforms.json')) {
+        updatePopupButtons(POPUP_PLATFORMS);
+    }
+}
+
+/**
+ * Background checks for whatever was painted from cache: configs first, since the games are built from them
+ */
+async function revalidateCachedData(configsFromCache, gamesFromCache) {
+    if (configsFromCache) await revalidateConfigs();
+    if (gamesFromCache) await revalidateGameManifest();
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -695,11 +1511,19 @@ function updatePopupButtons(buttonData) {
 async function init() {
     console.log('🎰 POP REDE - RTP Inicializando...');
     
+    registerServiceWorker();
+    setupOfflineBanner();
+    
     // Show loading message
     document.getElementById('gamesGrid').innerHTML = '<p style="color: #fff; padding: 20px; text-align: center;">⏳ Carregando jogos...</p>';
     
-    // Load all games from provider folders (automatic discovery)
-    await loadAllGames();
+    // JSON configs (providers, catalog, curation, banners, platforms): from cache when the last visit saved
+    // them all, otherwise from the network. Then all games from provider folders.
+    const configsFromCache = applyCachedConfigs();
+    if (!configsFromCache) {
+        await Promise.all([loadProviderRegistry(), loadGameCatalog(), loadCuration(), loadBanners(), loadPopupPlatforms()]);
+    }
+    const loadedFromCache = await loadAllGames();
     
     if (allGames.length === 0) {
         console.error('❌ No games loaded!');
@@ -710,17 +1534,29 @@ async function init() {
     // Setup event listeners
     setupCarousel(); // Initialize carousel
     setupHamburgerMenu();
+    setupSearch();
+    updatePopupButtons(POPUP_PLATFORMS); // Platform buttons from platforms.json
     setupPopupFunctionality(); // Add popup functionality
     
     // Initial render
+    setupInfiniteScroll();
     renderGameCards();
     
     // Setup auto-refresh
     setupAutoRefresh();
+    setupNextUpdateIndicator();
+    
+    // Cached configs / games are on screen, check the server for changes in the background
+    revalidateCachedData(configsFromCache, loadedFromCache);
     
     console.log('✅ POP REDE - RTP Pronto!');
+    
+    const imageErrors = getImageErrorLog().entries.length;
+    if (imageErrors > 0) {
+        console.log(`🖼️ ${imageErrors} thumbnail failures logged: getImageErrorLog() to inspect, clearImageErrorLog() to reset`);
+    }
     console.log(`📊 Total de ${allGames.length} jogos disponíveis`);
-    console.log('🔄 RTP values mudam a cada 10 minutos');
+    console.log(`🔄 RTP values mudam a cada ${formatUpdateWindow(CONFIG.updateWindow)}`);
     
     // Show provider breakdown
     const providerCounts = {};
@@ -729,30 +1565,15 @@ async function init() {
     });
     console.log('📈 Por Provider:', providerCounts);
     
-    // Show priority breakdown
-    const priorityCounts = {
-        '1: ⭐⭐⭐ FORTUNE_* images': 0,
-        '2: ⭐⭐ POPULAR_* images': 0,
-        '3: 🎯 Fortune Providers': 0,
-        '4: 🏛️ Olympus Games': 0,
-        '5: 🎰 Popular Providers': 0,
-        '6: 📱 Regular Games': 0
-    };
-    allGames.forEach(game => {
-        if (game.priority === 1) priorityCounts['1: ⭐⭐⭐ FORTUNE_* images']++;
-        else if (game.priority === 2) priorityCounts['2: ⭐⭐ POPULAR_* images']++;
-        else if (game.priority === 3) priorityCounts['3: 🎯 Fortune Providers']++;
-        else if (game.priority === 4) priorityCounts['4: 🏛️ Olympus Games']++;
-        else if (game.priority === 5) priorityCounts['5: 🎰 Popular Providers']++;
-        else priorityCounts['6: 📱 Regular Games']++;
-    });
+    // Show priority breakdown (tiers from POPULARITY_RULES in game_popularity.js)
+    const priorityCounts = window.getPopularityBreakdown ? window.getPopularityBreakdown(allGames) : {};
     console.log('🎯 Por Popularidade:', priorityCounts);
     
     // Show first 20 games to verify sorting (including image names)
     console.log('🔥 Top 20 Jogos (Mais Populares):');
     allGames.slice(0, 20).forEach((game, i) => {
         const priorityLabel = window.getPriorityLabel ? window.getPriorityLabel(game.priority) : `Priority ${game.priority}`;
-        console.log(`  ${i + 1}. [P${game.priority}] ${game.imageName} (${game.provider})`);
+        console.log(`  ${i + 1}. [P${game.priority} ${priorityLabel}] ${game.title || game.imageName} (${game.provider})`);
     });
 }
 
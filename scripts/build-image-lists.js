@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Provider Image Lists Builder
+ * Purpose: Regenerates provider_image_lists.js (the fallback used when get_images.php
+ * is not available) by scanning images/<folder>/ for every provider in providers.json
+ *
+ * Usage:
+ *   node scripts/build-image-lists.js          Rewrite provider_image_lists.js
+ *   node scripts/build-image-lists.js --check  Exit 1 if the committed file is stale
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_FILE = path.join(ROOT, 'provider_image_lists.js');
+
+// Same extensions get_images.php accepts
+const IMAGE_PATTERN = /\.(jpg|jpeg|png|webp|gif)$/i;
+
+// ============================================
+// SCANNING
+// ============================================
+
+/**
+ * Enabled provider folders from a providers.json manifest, in registry order
+ */
+function getProviderFolders(manifest) {
+    return (manifest.providers || [])
+        .filter(provider => provider.folder && provider.enabled !== false)
+        .map(provider => provider.folder);
+}
+
+/**
+ * Lists the image files of every provider folder (missing folders give an empty list).
+ * Names are sorted by code point so the output doesn't depend on locale or filesystem order.
+ */
+function scanProviderImages(imagesDir, folders) {
+    const result = {};
+
+    folders.forEach(folder => {
+        const providerPath = path.join(imagesDir, folder);
+        let files = [];
+
+        if (fs.existsSync(providerPath) && fs.statSync(providerPath).isDirectory()) {
+            files = fs.readdirSync(providerPath, { withFileTypes: true })
+                .filter(entry => entry.isFile() && IMAGE_PATTERN.test(entry.name))
+                .map(entry => entry.name)
+                .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+        }
+
+        result[folder] = files;
+    });
+
+    return result;
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+
+/**
+ * Renders provider_image_lists.js for a { folder: [images] } map
+ */
+function renderImageLists(providerImages) {
+    return `/**
+ * Provider Image Lists
+ * Auto-generated from directory scanning
+ * DO NOT EDIT MANUALLY - Run \`node scripts/build-image-lists.js\` to update
+ */
+
+const PROVIDER_IMAGES = ${JSON.stringify(providerImages, null, 4)};
+
+// Export for use in other scripts
+if (typeof window !== 'undefined') {
+    window.PROVIDER_IMAGES = PROVIDER_IMAGES;
+}
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PROVIDER_IMAGES;
+}
+`;
+}
+
+/**
+ * Builds the expected file contents from providers.json and the images folder
+ */
+function buildImageLists(root) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(root, 'providers.json'), 'utf8'));
+    const providerImages = scanProviderImages(path.join(root, 'images'), getProviderFolders(manifest));
+    return { providerImages, contents: renderImageLists(providerImages) };
+}
+
+/**
+ * Per-provider differences between two { folder: [images] } maps
+ */
+function diffImageLists(current, expected) {
+    const folders = [...new Set([...Object.keys(current), ...Object.keys(expected)])];
+
+    return folders.map(folder => {
+        const before = new Set(current[folder] || []);
+        const after = new Set(expected[folder] || []);
+        return {
+            folder,
+            added: [...after].filter(name => !before.has(name)),
+            removed: [...before].filter(name => !after.has(name))
+        };
+    }).filter(change => change.added.length || change.removed.length);
+}
+
+if (require.main === module) {
+    const check = process.argv.includes('--check');
+    const { providerImages, contents } = buildImageLists(ROOT);
+    const total = Object.values(providerImages).reduce((sum, images) => sum + images.length, 0);
+
+    if (!check) {
+        fs.writeFileSync(OUTPUT_FILE, contents);
+        console.log(`✅ Wrote provider_image_lists.js (${total} images)`);
+        Object.entries(providerImages).forEach(([folder, images]) => {
+            console.log(`   ${folder}: ${images.length}`);
+        });
+        process.exit(0);
+    }
+
+    const committed = fs.existsSync(OUTPUT_FILE) ? fs.readFileSync(OUTPUT_FILE, 'utf8') : '';
+    if (committed === contents) {
+        console.log(`✅ provider_image_lists.js is up to date (${total} images)`);
+        process.exit(0);
+    }
+
+    console.error('❌ provider_image_lists.js is stale. Run: node scripts/build-image-lists.js');
+    const current = committed ? require(OUTPUT_FILE) : {};
+    diffImageLists(current, providerImages).forEach(({ folder, added, removed }) => {
+        console.error(`   ${folder}: +${added.length} -${removed.length}`);
+    });
+    process.exit(1);
+}
+
+module.exports = { IMAGE_PATTERN, getProviderFolders, scanProviderImages, renderImageLists, buildImageLists, diffImageLists };
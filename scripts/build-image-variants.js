@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+/**
+ * Responsive Image Variants Builder
+ * Purpose: Writes resized AVIF/WebP copies of every provider thumbnail so phones
+ * download card-sized images instead of the full PNG/JPG originals
+ *
+ * Usage:
+ *   node scripts/build-image-variants.js [--provider Playtech] [--force]
+ *
+ * Requires sharp (npm install --no-save sharp). Output goes to images/_variants/
+ * and is listed in images/_variants/manifest.json, which get_images.php reads
+ * to attach `variants` to each image. Unchanged images are skipped unless --force.
+ *
+ * Variants need PHP: hosts serving the provider_image_lists.js fallback get the
+ * original images only (no srcset). images/_variants/ is build output, run this
+ * on each deploy instead of committing it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { IMAGE_VARIANTS, getImageVariantPath } = require('../game-data');
+const { getProviderFolders, scanProviderImages } = require('./build-image-lists');
+
+const ROOT = path.join(__dirname, '..');
+const MANIFEST_FILE = path.join(ROOT, IMAGE_VARIANTS.dir, 'manifest.json');
+
+// Encoder settings per output format
+const ENCODER_OPTIONS = {
+    avif: { quality: 50 },
+    webp: { quality: 75 }
+};
+
+// ============================================
+// PLANNING
+// ============================================
+
+/**
+ * Variant widths for a source image: the configured widths it can fill without upscaling,
+ * or just its own width when it is smaller than all of them
+ */
+function planVariantWidths(sourceWidth, widths) {
+    const fitting = widths.filter(width => width <= sourceWidth);
+    return fitting.length ? fitting : [sourceWidth];
+}
+
+/**
+ * Whether a manifest entry still describes the source file and all its outputs exist
+ */
+function isEntryCurrent(root, key, entry, stat) {
+    if (!entry || entry.size !== stat.size || entry.mtime !== Math.floor(stat.mtimeMs / 1000)) {
+        return false;
+    }
+
+    const [provider, imageName] = splitImageKey(key);
+    return entry.widths.every(width => IMAGE_VARIANTS.formats.every(format =>
+        fs.existsSync(path.join(root, getImageVariantPath(provider, imageName, width, format)))
+    ));
+}
+
+function splitImageKey(key) {
+    const slash = key.indexOf('/');
+    return [key.slice(0, slash), key.slice(slash + 1)];
+}
+
+function readManifest(file) {
+    try {
+        const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return manifest && manifest.images ? manifest : { images: {} };
+    } catch (error) {
+        return { images: {} };
+    }
+}
+
+/**
+ * Serializes the manifest with sorted image keys so rebuilds give the same file
+ */
+function renderManifest(images) {
+    const sorted = {};
+    Object.keys(images).sort().forEach(key => {
+        sorted[key] = images[key];
+    });
+
+    return JSON.stringify({
+        version: 1,
+        widths: IMAGE_VARIANTS.widths,
+        formats: IMAGE_VARIANTS.formats,
+        images: sorted
+    }, null, 4) + '\n';
+}
+
+// ============================================
+// BUILD
+// ============================================
+
+/**
+ * Generates missing or outdated variants and rewrites the manifest
+ * @param {Object} options
+ * @param {Object} options.sharp - The sharp module
+ * @param {string} [options.root] - Site root (default: repository root)
+ * @param {string} [options.provider] - Only rebuild this provider folder
+ * @param {boolean} [options.force] - Rebuild even when the manifest says it's current
+ */
+async function buildImageVariants({ sharp, root = ROOT, provider, force = false }) {
+    const manifestFile = path.join(root, IMAGE_VARIANTS.dir, 'manifest.json');
+    const providersManifest = JSON.parse(fs.readFileSync(path.join(root, 'providers.json'), 'utf8'));
+    const folders = getProviderFolders(providersManifest).filter(folder => !provider || folder === provider);
+    const providerImages = scanProviderImages(path.join(root, 'images'), folders);
+    const previous = readManifest(manifestFile).images;
+    const images = {};
+    const stats = { built: 0, skipped: 0, failed: [] };
+
+    // Keep entries of providers outside this run
+    Object.entries(previous).forEach(([key, entry]) => {
+        if (!folders.includes(splitImageKey(key)[0])) images[key] = entry;
+    });
+
+    for (const [folder, names] of Object.entries(providerImages)) {
+        for (const imageName of names) {
+            const key = `${folder}/${imageName}`;
+            const source = path.join(root, 'images', folder, imageName);
+            const stat = fs.statSync(source);
+
+            if (!force && isEntryCurrent(root, key, previous[key], stat)) {
+                images[key] = previous[key];
+                stats.skipped++;
+                continue;
+            }
+
+            try {
+                const { width } = await sharp(source).metadata();
+                const widths = planVariantWidths(width, IMAGE_VARIANTS.widths);
+
+                for (const variantWidth of widths) {
+                    for (const format of IMAGE_VARIANTS.formats) {
+                        const output = path.join(root, getImageVariantPath(folder, imageName, variantWidth, format));
+                        fs.mkdirSync(path.dirname(output), { recursive: true });
+                        await sharp(source)
+                            .resize({ width: variantWidth, withoutEnlargement: true })
+                            .toFormat(format, ENCODER_OPTIONS[format])
+                            .toFile(output);
+                    }
+                }
+
+                images[key] = { size: stat.size, mtime: Math.floor(stat.mtimeMs / 1000), widths };
+                stats.built++;
+            } catch (error) {
+                stats.failed.push({ image: key, error: error.message });
+            }
+        }
+    }
+
+    // Remove variant files of images that no longer exist
+    Object.entries(previous).forEach(([key, entry]) => {
+        if (images[key]) return;
+        const [folder, imageName] = splitImageKey(key);
+        entry.widths.forEach(width => IMAGE_VARIANTS.formats.forEach(format => {
+            fs.rmSync(path.join(root, getImageVariantPath(folder, imageName, width, format)), { force: true });
+        }));
+    });
+
+    fs.mkdirSync(path.dirname(manifestFile), { recursive: true });
+    fs.writeFileSync(manifestFile, renderManifest(images));
+
+    return stats;
+}
+
+/**
+ * Loads sharp, explaining how to install it when missing
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('❌ sharp is not installed. Run: npm install --no-save sharp');
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const providerIndex = argv.indexOf('--provider');
+    const provider = providerIndex !== -1 ? argv[providerIndex + 1] : undefined;
+
+    buildImageVariants({ sharp: loadSharp(), provider, force: argv.includes('--force') })
+        .then(stats => {
+            console.log(`✅ Variants: ${stats.built} built, ${stats.skipped} unchanged → ${path.relative(ROOT, MANIFEST_FILE)}`);
+            stats.failed.forEach(({ image, error }) => console.error(`   ❌ ${image}: ${error}`));
+            process.exit(stats.failed.length ? 1 : 0);
+        })
+        .catch(error => {
+            console.error('❌ Variant build failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { ENCODER_OPTIONS, planVariantWidths, renderManifest, buildImageVariants };
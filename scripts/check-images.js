@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * Image Integrity Checker
+ * Purpose: Cross-checks provider_image_lists.js, the images/ tree and the catalog.json game catalog
+ * for missing, broken, duplicate and orphan thumbnails
+ *
+ * Usage:
+ *   node scripts/check-images.js [--out image-report.json] [--json] [--skip-perceptual]
+ *
+ * Exits 1 when an image is missing, empty or undecodable. Duplicates and
+ * orphans are reported as warnings. Perceptual duplicates need sharp
+ * (npm install --no-save sharp); without it the check exits 1 too, unless
+ * --skip-perceptual says only byte-identical copies should be looked for.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { IMAGE_PATTERN, getProviderFolders } = require('./build-image-lists');
+
+const ROOT = path.join(__dirname, '..');
+
+// Max differing bits between two 64-bit dHashes to call images the same picture
+const PERCEPTUAL_DISTANCE = 6;
+
+// ============================================
+// DECODING (headers only, no dependencies)
+// ============================================
+
+/**
+ * Reads the format and dimensions of an image buffer and checks it isn't truncated
+ * @returns {{format: string, width: number, height: number}|{error: string}}
+ */
+function inspectImage(buffer) {
+    if (buffer.length === 0) return { error: 'zero-byte file' };
+
+    // PNG: signature, IHDR dimensions, IEND chunk at the end
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) {
+        if (buffer.lastIndexOf('IEND') < buffer.length - 12) return { error: 'truncated PNG (no IEND)' };
+        return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // JPEG: SOI marker, dimensions from the first SOFn segment, EOI near the end
+    if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        const size = readJpegSize(buffer);
+        if (!size) return { error: 'JPEG without a frame header' };
+        if (buffer.lastIndexOf(Buffer.from([0xFF, 0xD9])) < buffer.length - 64) return { error: 'truncated JPEG (no EOI)' };
+        return { format: 'jpeg', ...size };
+    }
+
+    // GIF: signature, logical screen size, trailer byte
+    const header = buffer.toString('ascii', 0, 6);
+    if (header === 'GIF87a' || header === 'GIF89a') {
+        if (buffer.length < 10 || buffer.lastIndexOf(0x3B) < buffer.length - 2) return { error: 'truncated GIF' };
+        return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    // WebP: RIFF container whose declared size matches the file
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        if (buffer.readUInt32LE(4) + 8 > buffer.length) return { error: 'truncated WebP' };
+        const size = readWebpSize(buffer);
+        return size ? { format: 'webp', ...size } : { error: 'WebP without a known bitstream' };
+    }
+
+    return { error: 'unknown image format' };
+}
+
+function readJpegSize(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) return null;
+        const marker = buffer[offset + 1];
+
+        // Padding bytes and markers without a length
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        if (marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+            offset += 2;
+            continue;
+        }
+
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function readWebpSize(buffer) {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+// ============================================
+// PERCEPTUAL HASH (optional, needs sharp)
+// ============================================
+
+/**
+ * 64-bit difference hash: 9x8 grayscale thumbnail, one bit per horizontal gradient
+ */
+async function differenceHash(sharp, file) {
+    const pixels = await sharp(file).grayscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash;
+}
+
+function hammingDistance(a, b) {
+    let diff = a ^ b;
+    let count = 0;
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * Image folders on disk (folders starting with _ hold build output)
+ */
+function listImageFolders(imagesDir) {
+    if (!fs.existsSync(imagesDir)) return [];
+    return fs.readdirSync(imagesDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('_'))
+        .map(entry => entry.name)
+        .sort();
+}
+
+/**
+ * Groups of 2+ images that share a key
+ */
+function groupDuplicates(images, keyOf) {
+    const groups = {};
+    images.forEach(image => {
+        const key = keyOf(image);
+        (groups[key] = groups[key] || []).push(image.path);
+    });
+    return Object.values(groups).filter(group => group.length > 1);
+}
+
+/**
+ * Runs every check and returns the report
+ * @param {Object} [options]
+ * @param {string} [options.root] - Site root (default: repository root)
+ * @param {Object} [options.sharp] - sharp module, enables perceptual duplicates
+ */
+async function checkImages({ root = ROOT, sharp = null } = {}) {
+    const imagesDir = path.join(root, 'images');
+    const registry = getProviderFolders(JSON.parse(fs.readFileSync(path.join(root, 'providers.json'), 'utf8')));
+    const listed = require(path.join(root, 'provider_image_lists.js'));
+    const catalog = JSON.parse(fs.readFileSync(path.join(root, 'catalog.json'), 'utf8'));
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        totals: { listed: 0, onDisk: 0, catalogued: Object.keys(catalog).length },
+        missing: [],
+        unlisted: [],
+        broken: [],
+        extensionMismatch: [],
+        duplicates: { exact: [], perceptual: [], perceptualChecked: Boolean(sharp) },
+        uncatalogued: [],
+        unregisteredFolders: []
+    };
+
+    // Listed in provider_image_lists.js but not on disk
+    for (const [provider, names] of Object.entries(listed)) {
+        names.forEach(name => {
+            report.totals.listed++;
+            if (!fs.existsSync(path.join(imagesDir, provider, name))) {
+                report.missing.push({ path: `${provider}/${name}`, source: 'provider_image_lists.js' });
+            }
+        });
+    }
+
+    // Catalog entries pointing at files that don't exist
+    const catalogued = new Set();
+    for (const [slug, game] of Object.entries(catalog)) {
+        const imagePath = `${game.provider}/${game.image}`;
+        catalogued.add(imagePath);
+        if (!fs.existsSync(path.join(imagesDir, game.provider, game.image))) {
+            report.missing.push({ path: imagePath, source: `catalog.json['${slug}']` });
+        }
+    }
+
+    // Everything on disk
+    const images = [];
+    listImageFolders(imagesDir).forEach(folder => {
+        if (!registry.includes(folder)) report.unregisteredFolders.push(folder);
+
+        fs.readdirSync(path.join(imagesDir, folder), { withFileTypes: true })
+            .filter(entry => entry.isFile() && IMAGE_PATTERN.test(entry.name))
+            .map(entry => entry.name)
+            .sort()
+            .forEach(name => {
+                const imagePath = `${folder}/${name}`;
+                const file = path.join(imagesDir, folder, name);
+                const buffer = fs.readFileSync(file);
+                const info = inspectImage(buffer);
+
+                report.totals.onDisk++;
+                if (!(listed[folder] || []).includes(name)) report.unlisted.push(imagePath);
+                if (!catalogued.has(imagePath)) report.uncatalogued.push(imagePath);
+
+                const image = {
+                    path: imagePath,
+                    file,
+                    provider: folder,
+                    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+                    decodable: !info.error
+                };
+                images.push(image);
+
+                if (info.error) {
+                    report.broken.push({ path: imagePath, bytes: buffer.length, error: info.error });
+                    return;
+                }
+
+                const extension = path.extname(name).slice(1).toLowerCase().replace('jpg', 'jpeg');
+                if (extension !== info.format) {
+                    report.extensionMismatch.push({ path: imagePath, format: info.format });
+                }
+            });
+    });
+
+    report.duplicates.exact = groupDuplicates(images, image => image.sha256);
+
+    // Same picture re-encoded or resized under another provider
+    if (sharp) {
+        for (const image of images) {
+            image.dHash = image.decodable ? await differenceHash(sharp, image.file).catch(() => null) : null;
+        }
+
+        for (let i = 0; i < images.length; i++) {
+            for (let j = i + 1; j < images.length; j++) {
+                const a = images[i];
+                const b = images[j];
+                if (a.provider === b.provider || a.dHash === null || b.dHash === null || a.sha256 === b.sha256) continue;
+
+                const distance = hammingDistance(a.dHash, b.dHash);
+                if (distance <= PERCEPTUAL_DISTANCE) {
+                    report.duplicates.perceptual.push({ images: [a.path, b.path], distance });
+                }
+            }
+        }
+    }
+
+    report.ok = report.missing.length === 0 && report.broken.length === 0;
+    return report;
+}
+
+/**
+ * Loads sharp when it is installed
+ */
+function loadOptionalSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        return null;
+    }
+}
+
+function printReport(report) {
+    const { totals, duplicates } = report;
+    const list = items => items.slice(0, 10).forEach(item => console.log(`   ${typeof item === 'string' ? item : JSON.stringify(item)}`));
+
+    console.log('🖼️ Image Integrity Report');
+    console.log(`   listed: ${totals.listed} | on disk: ${totals.onDisk} | catalogued: ${totals.catalogued}`);
+
+    console.log(`\n${report.missing.length ? '❌' : '✅'} Missing files: ${report.missing.length}`);
+    list(report.missing);
+    console.log(`${report.broken.length ? '❌' : '✅'} Empty or undecodable: ${report.broken.length}`);
+    list(report.broken);
+
+    console.log(`\n⚠️ On disk but not in provider_image_lists.js: ${report.unlisted.length}`);
+    list(report.unlisted);
+    console.log(`⚠️ Extension doesn't match format: ${report.extensionMismatch.length}`);
+    list(report.extensionMismatch);
+    console.log(`⚠️ Byte-identical duplicates: ${duplicates.exact.length}`);
+    list(duplicates.exact.map(group => group.join(' = ')));
+    if (duplicates.perceptualChecked) {
+        console.log(`⚠️ Perceptual duplicates across providers: ${duplicates.perceptual.length}`);
+        list(duplicates.perceptual.map(({ images, distance }) => `${images.join(' ≈ ')} (${distance} bits)`));
+    } else {
+        console.log('⚠️ Perceptual duplicates not checked (sharp is not installed)');
+    }
+    console.log(`⚠️ Folders missing from providers.json: ${report.unregisteredFolders.length}`);
+    list(report.unregisteredFolders);
+    console.log(`ℹ️ Images without a catalog.json entry: ${report.uncatalogued.length}`);
+}
+
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const outIndex = argv.indexOf('--out');
+    const out = outIndex !== -1 ? argv[outIndex + 1] : null;
+
+    const skipPerceptual = argv.includes('--skip-perceptual');
+    const sharp = loadOptionalSharp();
+
+    checkImages({ sharp })
+        .then(report => {
+            if (argv.includes('--json')) {
+                console.log(JSON.stringify(report, null, 2));
+            } else {
+                printReport(report);
+            }
+            if (out) {
+                fs.writeFileSync(out, JSON.stringify(report, null, 2) + '\n');
+                console.error(`📝 Report written to ${out}`);
+            }
+            if (!sharp && !skipPerceptual) {
+                console.error('❌ Perceptual duplicate check skipped: run npm install --no-save sharp, or pass --skip-perceptual');
+                process.exit(1);
+            }
+            process.exit(report.ok ? 0 : 1);
+        })
+        .catch(error => {
+            console.error('❌ Image check failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { inspectImage, hammingDistance, checkImages };
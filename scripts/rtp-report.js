@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+/**
+ * RTP Statistical Quality Report
+ * Purpose: Measures how the seeded generator behaves for every game over a date range
+ * and flags where the LCG pre-hash in getSeededRandomInt visibly biases results
+ *
+ * Usage:
+ *   node scripts/rtp-report.js [--from 2025-01-01] [--to 2025-01-02] [--window 1] [--json]
+ *
+ * --from / --to are UTC dates or ISO timestamps (default: today, one day)
+ * --window is the RTP window in minutes (default: the site's updateWindow from rtp-config.js)
+ */
+
+const { createEngine, preHashSeed, seededRandom, PRE_HASH } = require('../rtp-engine');
+const { getGameSlug } = require('../game-data');
+const RTP_CONFIG = require('../rtp-config');
+const PROVIDER_IMAGES = require('../provider_image_lists');
+
+// z-score used for every significance check (~p < 0.001)
+const Z_CRITICAL = 3.09;
+
+// ============================================
+// STATISTICS HELPERS
+// ============================================
+
+function gcd(a, b) {
+    while (b) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Chi-square critical value (Wilson-Hilferty approximation)
+ */
+function chiSquareCritical(degreesOfFreedom) {
+    const k = 2 / (9 * degreesOfFreedom);
+    return degreesOfFreedom * Math.pow(1 - k + Z_CRITICAL * Math.sqrt(k), 3);
+}
+
+/**
+ * Lag-1 autocorrelation of a series
+ */
+function lag1Autocorrelation(series) {
+    let mean = 0;
+    for (let i = 0; i < series.length; i++) mean += series[i];
+    mean /= series.length;
+
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < series.length; i++) {
+        const d = series[i] - mean;
+        denominator += d * d;
+        if (i + 1 < series.length) numerator += d * (series[i + 1] - mean);
+    }
+    return denominator === 0 ? 0 : numerator / denominator;
+}
+
+/**
+ * Summarises values (offset from min) against a uniform distribution
+ */
+function describeDistribution(counts, total, min) {
+    const expected = total / counts.length;
+    let chiSquare = 0;
+    let sum = 0;
+    let observedMin = null;
+    let observedMax = null;
+
+    counts.forEach((count, offset) => {
+        chiSquare += Math.pow(count - expected, 2) / expected;
+        sum += count * (offset + min);
+        if (count > 0) {
+            if (observedMin === null) observedMin = offset + min;
+            observedMax = offset + min;
+        }
+    });
+
+    const degreesOfFreedom = counts.length - 1;
+    const criticalValue = chiSquareCritical(degreesOfFreedom);
+
+    // Ten equal buckets for display
+    const buckets = [];
+    const bucketSize = Math.ceil(counts.length / 10);
+    for (let start = 0; start < counts.length; start += bucketSize) {
+        const slice = counts.slice(start, start + bucketSize);
+        buckets.push({
+            from: start + min,
+            to: start + min + slice.length - 1,
+            count: slice.reduce((a, b) => a + b, 0)
+        });
+    }
+
+    return {
+        min: observedMin,
+        max: observedMax,
+        mean: total ? sum / total : 0,
+        chiSquare,
+        degreesOfFreedom,
+        criticalValue,
+        uniform: chiSquare <= criticalValue,
+        buckets
+    };
+}
+
+/**
+ * Summarises per-game lag-1 autocorrelation
+ */
+function describeAutocorrelation(seriesList) {
+    const length = seriesList.length ? seriesList[0].length : 0;
+    const threshold = length > 1 ? Z_CRITICAL / Math.sqrt(length) : Infinity;
+    const values = seriesList.map(lag1Autocorrelation);
+    const flaggedGames = values.filter(r => Math.abs(r) > threshold).length;
+
+    return {
+        mean: values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0,
+        maxAbs: values.reduce((max, r) => Math.max(max, Math.abs(r)), 0),
+        threshold,
+        flaggedGames,
+        // About 0.2% of games cross a 3.09-sigma threshold by chance
+        biased: flaggedGames > Math.max(2, seriesList.length * 0.01)
+    };
+}
+
+// ============================================
+// REPORT
+// ============================================
+
+/**
+ * Lists every current game id (same ids script.js seeds with)
+ */
+function getAllGameIds() {
+    const ids = [];
+    for (const [provider, images] of Object.entries(PROVIDER_IMAGES)) {
+        images.forEach(imageName => ids.push(getGameSlug(provider, imageName)));
+    }
+    return ids;
+}
+
+/**
+ * Builds the statistical report
+ * @param {Object} options
+ * @param {number} options.from - Start timestamp (ms, inclusive)
+ * @param {number} options.to - End timestamp (ms, exclusive)
+ * @param {number} [options.windowMinutes] - RTP window size
+ * @param {string[]} [options.gameIds] - Defaults to every current game
+ */
+function buildReport(options) {
+    const engine = createEngine(options.windowMinutes ? { windowMinutes: options.windowMinutes } : { updateWindow: RTP_CONFIG.updateWindow });
+    const windowMinutes = engine.windowMs / 60000;
+    const gameIds = options.gameIds || getAllGameIds();
+    const { min, max } = engine.options.ranges;
+    const span = max - min + 1;
+
+    const firstWindow = engine.getTimeSeed(options.from);
+    const windows = Math.max(0, engine.getTimeSeed(options.to - 1) - firstWindow + 1);
+
+    const counts = new Array(span).fill(0);
+    const controlCounts = new Array(span).fill(0);
+    const series = gameIds.map(() => new Uint8Array(windows));
+    const controlSeries = gameIds.map(() => new Uint8Array(windows));
+
+    let seedCollisions = 0;
+    let stateCollisions = 0;
+
+    for (let w = 0; w < windows; w++) {
+        const timeSeed = firstWindow + w;
+        const seeds = new Map();
+        const states = new Map();
+
+        gameIds.forEach((gameId, g) => {
+            const gameSeed = engine.getGameSeed(gameId, timeSeed);
+            const state = preHashSeed(gameSeed);
+
+            // Pairs of games sharing a seed or a pre-hash state in this window
+            seedCollisions += seeds.get(gameSeed) || 0;
+            seeds.set(gameSeed, (seeds.get(gameSeed) || 0) + 1);
+            stateCollisions += states.get(state) || 0;
+            states.set(state, (states.get(state) || 0) + 1);
+
+            const value = engine.generateRandomRTP(gameId, timeSeed);
+            counts[value - min]++;
+            series[g][w] = value;
+
+            // Control: same seed straight into mulberry32, no pre-hash
+            const controlValue = Math.floor(seededRandom(gameSeed) * span) + min;
+            controlCounts[controlValue - min]++;
+            controlSeries[g][w] = controlValue;
+        });
+    }
+
+    const total = windows * gameIds.length;
+    const pairs = gameIds.length * (gameIds.length - 1) / 2;
+    const expectedStateCollisions = windows * pairs / PRE_HASH.modulus;
+
+    // Games whose pre-hash states collide in every window
+    const permanentPairs = [];
+    const byState = new Map();
+    gameIds.forEach(gameId => {
+        const state = preHashSeed(engine.getGameSeed(gameId, firstWindow));
+        if (byState.has(state)) permanentPairs.push([byState.get(state), gameId]);
+        else byState.set(state, gameId);
+    });
+
+    // Each window shifts every game's pre-hash state by the same step, so
+    // values repeat after modulus / gcd(step, modulus) windows
+    const step = (preHashSeed(engine.getGameSeed(0, 1)) - preHashSeed(engine.getGameSeed(0, 0)) + PRE_HASH.modulus) % PRE_HASH.modulus;
+    const periodWindows = PRE_HASH.modulus / gcd(step, PRE_HASH.modulus);
+
+    const report = {
+        range: {
+            from: new Date(options.from).toISOString(),
+            to: new Date(options.to).toISOString(),
+            windowMinutes,
+            windows,
+            games: gameIds.length,
+            values: total
+        },
+        distribution: describeDistribution(counts, total, min),
+        autocorrelation: describeAutocorrelation(series),
+        collisions: {
+            seed: seedCollisions,
+            preHashState: stateCollisions,
+            expectedPreHashState: expectedStateCollisions,
+            permanentPairs
+        },
+        period: {
+            windows: periodWindows,
+            days: periodWindows * windowMinutes / 1440,
+            withinRange: windows > periodWindows
+        },
+        control: {
+            distribution: describeDistribution(controlCounts, total, min),
+            autocorrelation: describeAutocorrelation(controlSeries)
+        },
+        flags: []
+    };
+
+    // ============================================
+    // FLAGS
+    // ============================================
+
+    const flags = report.flags;
+    if (!report.distribution.uniform) {
+        flags.push(`Value distribution is not uniform (chi² ${report.distribution.chiSquare.toFixed(1)} > ${report.distribution.criticalValue.toFixed(1)})` +
+            (report.control.distribution.uniform ? ' while the no-pre-hash control is' : ''));
+    }
+    if (report.autocorrelation.biased) {
+        flags.push(`${report.autocorrelation.flaggedGames} games show lag-1 autocorrelation beyond ±${report.autocorrelation.threshold.toFixed(3)}` +
+            (report.control.autocorrelation.biased ? '' : ' (control: ' + report.control.autocorrelation.flaggedGames + ')'));
+    }
+    if (stateCollisions > expectedStateCollisions + Z_CRITICAL * Math.sqrt(expectedStateCollisions) + 1) {
+        flags.push(`Pre-hash state collisions between games: ${stateCollisions} (expected ~${expectedStateCollisions.toFixed(1)})`);
+    }
+    if (seedCollisions > 0) {
+        flags.push(`${seedCollisions} seed collisions between games (identical stringToHash values)`);
+    }
+    if (permanentPairs.length > 0) {
+        flags.push(`${permanentPairs.length} game pairs share the same pre-hash state in every window`);
+    }
+    if (report.period.withinRange) {
+        flags.push(`Values repeat every ${periodWindows} windows (${report.period.days.toFixed(2)} days) because the pre-hash keeps only ${PRE_HASH.modulus} states`);
+    }
+
+    return report;
+}
+
+// ============================================
+// CLI
+// ============================================
+
+/**
+ * Parses --key value arguments
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = next;
+            i++;
+        }
+    }
+    return args;
+}
+
+function printReport(report) {
+    const { range, distribution, autocorrelation, collisions, period, control } = report;
+
+    console.log('📊 RTP Statistical Quality Report');
+    console.log(`   Range: ${range.from} → ${range.to}`);
+    console.log(`   ${range.windows} windows × ${range.games} games (${range.windowMinutes} min window) = ${range.values} values`);
+
+    console.log('\n🎲 Value distribution');
+    console.log(`   min ${distribution.min} | max ${distribution.max} | mean ${distribution.mean.toFixed(2)}`);
+    console.log(`   chi² ${distribution.chiSquare.toFixed(1)} (df ${distribution.degreesOfFreedom}, limit ${distribution.criticalValue.toFixed(1)}) - control chi² ${control.distribution.chiSquare.toFixed(1)}`);
+    const largest = Math.max(...distribution.buckets.map(b => b.count), 1);
+    distribution.buckets.forEach(bucket => {
+        const bar = '█'.repeat(Math.round(bucket.count / largest * 30));
+        console.log(`   ${String(bucket.from).padStart(3)}-${String(bucket.to).padEnd(3)} ${bar} ${bucket.count}`);
+    });
+
+    console.log('\n🔁 Per-game lag-1 autocorrelation');
+    console.log(`   mean ${autocorrelation.mean.toFixed(4)} | max |r| ${autocorrelation.maxAbs.toFixed(4)} | games beyond ±${autocorrelation.threshold.toFixed(3)}: ${autocorrelation.flaggedGames} (control ${control.autocorrelation.flaggedGames})`);
+
+    console.log('\n💥 Collisions between games');
+    console.log(`   seed: ${collisions.seed} | pre-hash state: ${collisions.preHashState} (expected ~${collisions.expectedPreHashState.toFixed(1)}) | permanent pairs: ${collisions.permanentPairs.length}`);
+    collisions.permanentPairs.slice(0, 10).forEach(([a, b]) => console.log(`   ${a} ⇄ ${b}`));
+
+    console.log('\n⏳ Pre-hash period');
+    console.log(`   values repeat every ${period.windows} windows (${period.days.toFixed(2)} days)`);
+
+    if (report.flags.length) {
+        console.log('\n⚠️ Flags');
+        report.flags.forEach(flag => console.log(`   - ${flag}`));
+    } else {
+        console.log('\n✅ No bias detected in this range');
+    }
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const today = new Date();
+    const from = args.from ? Date.parse(args.from) : Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+    const to = args.to ? Date.parse(args.to) : from + 24 * 60 * 60 * 1000;
+    const windowMinutes = args.window ? Number(args.window) : undefined;
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+        console.error('❌ Invalid range. Use --from and --to with dates like 2025-01-01 (to must be after from).');
+        process.exit(1);
+    }
+    if (windowMinutes !== undefined && !(windowMinutes > 0)) {
+        console.error('❌ --window must be a positive number of minutes.');
+        process.exit(1);
+    }
+
+    const report = buildReport({ from, to, windowMinutes });
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+module.exports = { buildReport, getAllGameIds };
@@ -0,0 +1,209 @@
+/**
+ * Service Worker - Offline support
+ * Purpose: Precaches the page shell, JS modules and game manifest, and serves
+ * game thumbnails cache-first with LRU eviction under a size cap
+ *
+ * Bump CACHE_VERSION when the shell file list changes.
+ */
+
+const CACHE_VERSION = 'v5';
+const SHELL_CACHE = `rtppop-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = 'rtppop-images';
+
+// Page shell + JS modules, cached on install
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'game-data.js',
+    'provider_image_lists.js',
+    'game_popularity.js',
+    'rtp-engine.js',
+    'rtp-config.js',
+    'popup-platforms.js',
+    'script.js',
+    'providers.json',
+    'catalog.json',
+    'curation.json',
+    'banners.json',
+    'platforms.json'
+];
+
+// Cached on install when available (static hosts have no PHP)
+const OPTIONAL_SHELL_FILES = [
+    'get_images.php'
+];
+
+// Shell requests fall back to the cache after this long on slow networks
+const NETWORK_TIMEOUT_MS = 4000;
+
+// Thumbnail cache limits, least recently used images are evicted first
+const IMAGE_CACHE_LIMIT = {
+    maxEntries: 400,
+    maxBytes: 40 * 1024 * 1024
+};
+
+// Access times and sizes of cached images, stored inside the image cache itself
+const LRU_INDEX_URL = '__lru-index__';
+
+// ============================================
+// LRU INDEX
+// ============================================
+
+/**
+ * Picks the URLs to evict so the index fits the limits, oldest access first
+ * @param {Object<string, {size: number, lastUsed: number}>} index
+ * @param {{maxEntries: number, maxBytes: number}} limit
+ * @returns {string[]}
+ */
+function pickLruEvictions(index, limit) {
+    const entries = Object.entries(index).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    let count = entries.length;
+    let bytes = entries.reduce((sum, [, entry]) => sum + entry.size, 0);
+    const evicted = [];
+
+    for (const [url, entry] of entries) {
+        if (count <= limit.maxEntries && bytes <= limit.maxBytes) break;
+        evicted.push(url);
+        count--;
+        bytes -= entry.size;
+    }
+
+    return evicted;
+}
+
+let lruIndex = null;
+let lruIndexLoad = null;
+let lruSave = null;
+
+/**
+ * Loads the index once per worker start (concurrent image requests share the same load)
+ */
+function loadLruIndex(cache) {
+    if (!lruIndexLoad) {
+        lruIndexLoad = cache.match(LRU_INDEX_URL)
+            .then(response => (response ? response.json() : {}))
+            .then(index => (lruIndex = index));
+    }
+    return lruIndexLoad;
+}
+
+/**
+ * Writes the index back, batching the writes of images loaded together
+ */
+function saveLruIndex(cache) {
+    if (!lruSave) {
+        lruSave = new Promise(resolve => setTimeout(resolve, 1000)).then(() => {
+            lruSave = null;
+            return cache.put(LRU_INDEX_URL, new Response(JSON.stringify(lruIndex), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+        });
+    }
+    return lruSave;
+}
+
+// ============================================
+// STRATEGIES
+// ============================================
+
+/**
+ * Network first for the shell and manifest so updates show up, cache when offline or slow
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const network = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+    network.catch(() => null); // Rejections are handled through the cache below
+
+    const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+
+    try {
+        const response = await Promise.race([network, timeout]);
+        if (response) return response;
+    } catch (error) {
+        // Offline, use the cache below
+    }
+
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    return cached || network;
+}
+
+/**
+ * Cache first for thumbnails, recording access times for LRU eviction
+ */
+async function imageCacheFirst(request, event) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const index = await loadLruIndex(cache);
+    const cached = await cache.match(request);
+
+    if (cached) {
+        if (index[request.url]) {
+            index[request.url].lastUsed = Date.now();
+            event.waitUntil(saveLruIndex(cache));
+        }
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (!response.ok) return response;
+
+    const body = await response.clone().blob();
+    await cache.put(request, response.clone());
+    index[request.url] = { size: body.size, lastUsed: Date.now() };
+
+    const evicted = pickLruEvictions(index, IMAGE_CACHE_LIMIT);
+    evicted.forEach(url => delete index[url]);
+    event.waitUntil(Promise.all(evicted.map(url => cache.delete(url))).then(() => saveLruIndex(cache)));
+
+    return response;
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+if (typeof self !== 'undefined' && typeof self.addEventListener === 'function') {
+    self.addEventListener('install', event => {
+        event.waitUntil(caches.open(SHELL_CACHE).then(async cache => {
+            await cache.addAll(SHELL_FILES);
+            await Promise.all(OPTIONAL_SHELL_FILES.map(file => cache.add(file).catch(() => null)));
+        }).then(() => self.skipWaiting()));
+    });
+
+    self.addEventListener('activate', event => {
+        // Drop shell caches from previous versions (thumbnails are kept)
+        event.waitUntil(caches.keys().then(keys => Promise.all(
+            keys
+                .filter(key => key.startsWith('rtppop-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim()));
+    });
+
+    self.addEventListener('fetch', event => {
+        const request = event.request;
+        if (request.method !== 'GET') return;
+
+        const url = new URL(request.url);
+        const scope = new URL(self.registration.scope);
+        if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return;
+
+        // The admin panel and draft previews always go to the network
+        if (/\/admin\.(php|html|js)$/.test(url.pathname) || url.searchParams.has('preview')) return;
+
+        if (url.pathname.startsWith(`${scope.pathname}images/`)) {
+            event.respondWith(imageCacheFirst(request, event));
+        } else {
+            event.respondWith(networkFirst(request));
+        }
+    });
+}
+
+// Export for Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IMAGE_CACHE_LIMIT, pickLruEvictions };
+}
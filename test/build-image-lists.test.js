@@ -0,0 +1,47 @@
+/**
+ * Provider Image Lists Builder Tests
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { scanProviderImages, buildImageLists, diffImageLists } = require('../scripts/build-image-lists');
+const { makeSite, imageFiles } = require('./helpers/site');
+
+test('scanProviderImages keeps image extensions only, in code point order', () => {
+    const root = makeSite([], imageFiles([
+        'TADA/b.PNG', 'TADA/a.jpg', 'TADA/B.webp', 'TADA/notes.txt', 'TADA/thumbs.db', 'TADA/c.jpeg.bak'
+    ]), 'image-lists-');
+
+    assert.deepEqual(scanProviderImages(path.join(root, 'images'), ['TADA', 'Missing']), {
+        'TADA': ['B.webp', 'a.jpg', 'b.PNG'],
+        'Missing': []
+    });
+});
+
+test('buildImageLists follows providers.json order and skips disabled providers', () => {
+    const root = makeSite([
+        { folder: 'Zeta' },
+        { folder: 'Alpha' },
+        { folder: 'Off', enabled: false }
+    ], imageFiles(['Alpha/1.jpg', 'Zeta/2.gif', 'Off/3.jpg']), 'image-lists-');
+
+    const { providerImages, contents } = buildImageLists(root);
+
+    assert.deepEqual(Object.keys(providerImages), ['Zeta', 'Alpha']);
+    assert.equal(buildImageLists(root).contents, contents);
+    assert.match(contents, /window\.PROVIDER_IMAGES = PROVIDER_IMAGES/);
+    assert.match(contents, /module\.exports = PROVIDER_IMAGES/);
+});
+
+test('the committed provider_image_lists.js matches the images folder', () => {
+    const root = path.join(__dirname, '..');
+    const committed = fs.readFileSync(path.join(root, 'provider_image_lists.js'), 'utf8');
+    const { providerImages, contents } = buildImageLists(root);
+
+    assert.deepEqual(diffImageLists(require('../provider_image_lists'), providerImages), []);
+    assert.equal(committed, contents);
+});
@@ -0,0 +1,54 @@
+/**
+ * Responsive Image Variants Builder Tests
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { planVariantWidths, buildImageVariants } = require('../scripts/build-image-variants');
+const { getImageVariantPath } = require('../game-data');
+const { makeSite, imageFiles } = require('./helpers/site');
+
+/**
+ * Stand-in for sharp: every source is 400px wide, outputs are written as empty files
+ */
+function fakeSharp(calls) {
+    return source => {
+        const pipeline = {
+            metadata: async () => ({ width: 400 }),
+            resize: () => pipeline,
+            toFormat: () => pipeline,
+            toFile: async output => {
+                calls.push(output);
+                fs.writeFileSync(output, '');
+            }
+        };
+        return pipeline;
+    };
+}
+
+test('planVariantWidths never upscales', () => {
+    assert.deepEqual(planVariantWidths(1000, [240, 360, 480]), [240, 360, 480]);
+    assert.deepEqual(planVariantWidths(400, [240, 360, 480]), [240, 360]);
+    assert.deepEqual(planVariantWidths(200, [240, 360, 480]), [200]);
+});
+
+test('buildImageVariants records every variant and skips unchanged images on the next run', async () => {
+    const root = makeSite([{ folder: 'Play N\' GO' }], imageFiles(['Play N\' GO/a.png'], 'png'), 'image-variants-');
+
+    const calls = [];
+    const first = await buildImageVariants({ sharp: fakeSharp(calls), root });
+    const manifest = JSON.parse(fs.readFileSync(path.join(root, 'images/_variants/manifest.json'), 'utf8'));
+
+    assert.equal(first.built, 1);
+    assert.deepEqual(manifest.images['Play N\' GO/a.png'].widths, [240, 360]);
+    assert.equal(calls.length, 4);
+    assert.ok(fs.existsSync(path.join(root, getImageVariantPath('Play N\' GO', 'a.png', 360, 'avif'))));
+
+    const second = await buildImageVariants({ sharp: fakeSharp(calls), root });
+    assert.deepEqual([second.built, second.skipped], [0, 1]);
+    assert.equal(calls.length, 4);
+});
@@ -0,0 +1,55 @@
+/**
+ * Image Integrity Checker Tests
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { inspectImage, hammingDistance, checkImages } = require('../scripts/check-images');
+const { makeSite } = require('./helpers/site');
+
+/**
+ * Smallest buffer inspectImage accepts as a PNG of the given size
+ */
+function png(width, height) {
+    const header = Buffer.alloc(24);
+    header.writeUInt32BE(0x89504E47, 0);
+    header.writeUInt32BE(0x0D0A1A0A, 4);
+    header.write('IHDR', 12, 'ascii');
+    header.writeUInt32BE(width, 16);
+    header.writeUInt32BE(height, 20);
+    return Buffer.concat([header, Buffer.from('\0\0\0\0IEND\xAE\x42\x60\x82', 'latin1')]);
+}
+
+test('inspectImage reads PNG size and rejects empty, truncated and non-image files', () => {
+    assert.deepEqual(inspectImage(png(320, 240)), { format: 'png', width: 320, height: 240 });
+    assert.equal(inspectImage(Buffer.alloc(0)).error, 'zero-byte file');
+    assert.match(inspectImage(png(320, 240).subarray(0, 24)).error, /truncated PNG/);
+    assert.match(inspectImage(Buffer.from('{"query":"seo"}')).error, /unknown image format/);
+});
+
+test('hammingDistance counts differing bits', () => {
+    assert.equal(hammingDistance(0b1011n, 0b1011n), 0);
+    assert.equal(hammingDistance(0b1011n, 0b0110n), 3);
+});
+
+test('checkImages reports missing, broken, duplicate, unlisted and uncatalogued images', async () => {
+    const root = makeSite([{ folder: 'A' }, { folder: 'B' }], {
+        'provider_image_lists.js': 'module.exports = { "A": ["one.png", "gone.png"], "B": ["copy.png"] };',
+        'catalog.json': JSON.stringify({ one: { provider: 'A', image: 'one.png' }, lost: { provider: 'B', image: 'lost.png' } }),
+        'images/A/one.png': png(10, 10),
+        'images/B/copy.png': png(10, 10),
+        'images/B/empty.jpg': '',
+        'images/Extra/': null
+    }, 'check-images-');
+
+    const report = await checkImages({ root });
+
+    assert.deepEqual(report.missing.map(item => item.path).sort(), ['A/gone.png', 'B/lost.png']);
+    assert.deepEqual(report.broken.map(item => item.path), ['B/empty.jpg']);
+    assert.deepEqual(report.duplicates.exact, [['A/one.png', 'B/copy.png']]);
+    assert.deepEqual(report.unlisted, ['B/empty.jpg']);
+    assert.deepEqual(report.uncatalogued, ['B/copy.png', 'B/empty.jpg']);
+    assert.deepEqual(report.unregisteredFolders, ['Extra']);
+    assert.equal(report.ok, false);
+});
@@ -0,0 +1,217 @@
+/**
+ * Game Popularity Tests
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    POPULARITY_RULES, PRIORITIES, detectGamePriority, sortGamesByPopularity, getPriorityLabel, getPopularityBreakdown,
+    applyCuration
+} = require('../game_popularity');
+const { applyProviderRegistry, applyGameCatalog } = require('../game-data');
+const providersManifest = require('../providers.json');
+const catalog = require('../catalog.json');
+const PROVIDER_IMAGES = require('../provider_image_lists');
+
+/**
+ * Builds the minimal game object the sorter needs
+ */
+function game(provider, imageName, title) {
+    return {
+        provider,
+        imageName,
+        title: title || null,
+        priority: detectGamePriority(imageName, provider)
+    };
+}
+
+// ============================================
+// detectGamePriority
+// ============================================
+
+test('detectGamePriority gives FORTUNE_ and POPULAR_ images the top tiers', () => {
+    assert.equal(detectGamePriority('FORTUNE_1.jpg', 'PG SOFT'), PRIORITIES.FORTUNE_NAMED);
+    assert.equal(detectGamePriority('POPULAR_3.jpg', 'Pragmatic Play'), PRIORITIES.POPULAR_NAMED);
+});
+
+test('detectGamePriority maps each provider to its tier', () => {
+    const expected = {
+        'PG SOFT': PRIORITIES.FORTUNE_PROVIDER,
+        'TADA': PRIORITIES.FORTUNE_PROVIDER,
+        'Pragmatic Play': PRIORITIES.FEATURED_PROVIDER,
+        'HACKSAW': PRIORITIES.POPULAR_PROVIDER,
+        'Play N\' GO': PRIORITIES.POPULAR_PROVIDER,
+        'Playtech': PRIORITIES.REGULAR
+    };
+
+    for (const [provider, priority] of Object.entries(expected)) {
+        assert.equal(detectGamePriority('abc123.jpg', provider), priority, provider);
+    }
+});
+
+test('detectGamePriority only puts listed games in the Olympus tier, not every Pragmatic game', () => {
+    const rules = POPULARITY_RULES.map(rule => (
+        rule.tier === 'OLYMPUS_GAMES' ? Object.assign({}, rule, { games: ['pragmatic-play-zeus'] }) : rule
+    ));
+
+    assert.equal(detectGamePriority('zeus.jpg', 'Pragmatic Play', rules), PRIORITIES.OLYMPUS_GAMES);
+    assert.equal(detectGamePriority('sweet.jpg', 'Pragmatic Play', rules), PRIORITIES.FEATURED_PROVIDER);
+    assert.equal(detectGamePriority('POPULAR_8.jpg', 'Pragmatic Play', rules), PRIORITIES.POPULAR_NAMED);
+    assert.equal(detectGamePriority('zeus.jpg', 'Pragmatic Play'), PRIORITIES.FEATURED_PROVIDER);
+});
+
+test('the Olympus tier selects real games from provider_image_lists.js', () => {
+    const olympus = Object.entries(PROVIDER_IMAGES)
+        .flatMap(([provider, images]) => images.map(imageName => ({ provider, imageName })))
+        .filter(({ provider, imageName }) => detectGamePriority(imageName, provider) === PRIORITIES.OLYMPUS_GAMES);
+
+    assert.ok(olympus.length > 0);
+    assert.ok(olympus.some(({ provider, imageName }) => provider === 'Pragmatic Play' && imageName === 'OLYMPUS.jpg'));
+});
+
+test('detectGamePriority treats unknown providers as regular', () => {
+    assert.equal(detectGamePriority('abc123.jpg', 'Unknown Studio'), PRIORITIES.REGULAR);
+});
+
+test('detectGamePriority follows the tier in providers.json and skips disabled providers', () => {
+    applyProviderRegistry({
+        providers: [
+            { folder: 'New Studio', tier: 'OLYMPUS_GAMES' },
+            { folder: 'Playtech', tier: 'POPULAR_PROVIDER', enabled: false }
+        ]
+    });
+
+    try {
+        assert.equal(detectGamePriority('abc123.jpg', 'New Studio'), PRIORITIES.OLYMPUS_GAMES);
+        assert.equal(detectGamePriority('abc123.jpg', 'new studio'), PRIORITIES.OLYMPUS_GAMES);
+        assert.equal(detectGamePriority('abc123.jpg', 'Playtech'), PRIORITIES.REGULAR);
+    } finally {
+        applyProviderRegistry(providersManifest);
+    }
+});
+
+test('detectGamePriority reads tags from the catalog.json entry of the image', () => {
+    applyGameCatalog({
+        'gates-of-test': { title: 'Gates of Test', provider: 'Playtech', image: 'gates.png', tags: ['olympus'] }
+    });
+
+    try {
+        assert.equal(detectGamePriority('gates.png', 'Playtech'), PRIORITIES.OLYMPUS_GAMES);
+        assert.equal(detectGamePriority('other.png', 'Playtech'), PRIORITIES.REGULAR);
+    } finally {
+        applyGameCatalog(catalog);
+    }
+});
+
+// ============================================
+// sortGamesByPopularity
+// ============================================
+
+test('sortGamesByPopularity orders by priority tier', () => {
+    const sorted = sortGamesByPopularity([
+        game('Playtech', 'a.png'),
+        game('HACKSAW', 'b.jpg'),
+        game('Pragmatic Play', 'POPULAR_1.jpg'),
+        game('PG SOFT', 'c.jpg'),
+        game('Pragmatic Play', 'd.jpg'),
+        game('PG SOFT', 'FORTUNE_1.jpg')
+    ]);
+
+    assert.deepEqual(sorted.map(g => g.priority), [
+        PRIORITIES.FORTUNE_NAMED,
+        PRIORITIES.POPULAR_NAMED,
+        PRIORITIES.FORTUNE_PROVIDER,
+        PRIORITIES.FEATURED_PROVIDER,
+        PRIORITIES.POPULAR_PROVIDER,
+        PRIORITIES.REGULAR
+    ]);
+});
+
+test('sortGamesByPopularity orders FORTUNE_ and POPULAR_ images numerically', () => {
+    const sorted = sortGamesByPopularity([
+        game('PG SOFT', 'FORTUNE_10.jpg'),
+        game('PG SOFT', 'FORTUNE_2.jpg'),
+        game('PG SOFT', 'FORTUNE_1.jpg'),
+        game('Pragmatic Play', 'POPULAR_10.jpg'),
+        game('Pragmatic Play', 'POPULAR_9.jpg')
+    ]);
+
+    assert.deepEqual(sorted.map(g => g.imageName), [
+        'FORTUNE_1.jpg',
+        'FORTUNE_2.jpg',
+        'FORTUNE_10.jpg',
+        'POPULAR_9.jpg',
+        'POPULAR_10.jpg'
+    ]);
+});
+
+test('sortGamesByPopularity groups by provider, then catalogued titles before image names', () => {
+    const sorted = sortGamesByPopularity([
+        game('TADA', 'b.png'),
+        game('PG SOFT', 'a.jpg'),
+        game('PG SOFT', 'z.jpg', 'Mahjong Ways'),
+        game('TADA', 'a.png'),
+        game('PG SOFT', 'y.jpg', 'Caishen Wins')
+    ]);
+
+    assert.deepEqual(sorted.map(g => `${g.provider}/${g.imageName}`), [
+        'PG SOFT/y.jpg',
+        'PG SOFT/z.jpg',
+        'PG SOFT/a.jpg',
+        'TADA/a.png',
+        'TADA/b.png'
+    ]);
+});
+
+// ============================================
+// Labels and breakdown
+// ============================================
+
+test('labels and the breakdown come from the rules table', () => {
+    POPULARITY_RULES.forEach((rule, index) => {
+        assert.equal(PRIORITIES[rule.tier], index + 1);
+        assert.equal(getPriorityLabel(index + 1), rule.label);
+    });
+
+    const breakdown = getPopularityBreakdown([game('PG SOFT', 'FORTUNE_1.jpg'), game('Playtech', 'a.png'), game('Playtech', 'b.png')]);
+    assert.deepEqual(Object.keys(breakdown), POPULARITY_RULES.map((rule, index) => `${index + 1}: ${rule.label}`));
+    assert.equal(breakdown[`1: ${getPriorityLabel(1)}`], 1);
+    assert.equal(breakdown[`${PRIORITIES.REGULAR}: ${getPriorityLabel(PRIORITIES.REGULAR)}`], 2);
+});
+
+// ============================================
+// applyCuration
+// ============================================
+
+/**
+ * Games with ids, in the order given
+ */
+function curatedFixture() {
+    return [
+        ['a1', 'A'], ['b1', 'B'], ['a2', 'A'], ['b2', 'B'], ['a3', 'A'], ['c1', 'C']
+    ].map(([id, provider]) => ({ id, provider }));
+}
+
+test('applyCuration hides games and reports unknown slugs', () => {
+    const { games, unknown } = applyCuration(curatedFixture(), { hidden: ['b1', 'nope'] });
+
+    assert.deepEqual(games.map(g => g.id), ['a1', 'a2', 'b2', 'a3', 'c1']);
+    assert.deepEqual(unknown, ['nope']);
+});
+
+test('applyCuration reorders a provider inside the slots it already holds', () => {
+    const { games } = applyCuration(curatedFixture(), { providerOrder: { A: ['a3', 'a2'] } });
+
+    assert.deepEqual(games.map(g => g.id), ['a3', 'b1', 'a2', 'b2', 'a1', 'c1']);
+});
+
+test('applyCuration pins games at explicit positions after the other overrides', () => {
+    const { games } = applyCuration(curatedFixture(), {
+        hidden: ['b1'],
+        pinned: [{ game: 'c1', position: 1 }, { game: 'a3', position: 3 }, { game: 'b1', position: 2 }]
+    });
+
+    assert.deepEqual(games.map(g => g.id), ['c1', 'a1', 'a3', 'a2', 'b2']);
+});
@@ -0,0 +1,45 @@
+/**
+ * Test helper: throwaway site roots for the scripts that read providers.json and images/
+ * Every root is removed once the test file is done.
+ */
+
+const test = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempRoots = [];
+test.after(() => tempRoots.forEach(root => fs.rmSync(root, { recursive: true, force: true })));
+
+/**
+ * Creates a site root with providers.json and the given files
+ * @param {Array} providers - providers.json entries
+ * @param {Object<string, string|Buffer>} [files] - Contents by path relative to the root (a trailing / makes an empty folder)
+ * @param {string} [prefix] - Temp folder name prefix
+ * @returns {string} Root path
+ */
+function makeSite(providers, files = {}, prefix = 'site-') {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    tempRoots.push(root);
+    fs.writeFileSync(path.join(root, 'providers.json'), JSON.stringify({ providers }));
+
+    Object.entries(files).forEach(([file, contents]) => {
+        const target = path.join(root, file);
+        if (file.endsWith('/')) {
+            fs.mkdirSync(target, { recursive: true });
+            return;
+        }
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, contents);
+    });
+    return root;
+}
+
+/**
+ * Files map for makeSite with the given images/<folder>/<name> paths, all with the same contents
+ */
+function imageFiles(names, contents = '') {
+    return Object.fromEntries(names.map(name => [`images/${name}`, contents]));
+}
+
+module.exports = { makeSite, imageFiles };
@@ -0,0 +1,151 @@
+/**
+ * Popup Platforms Tests
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validatePopupPlatforms, getPlatformUrl, getPlatformOpenIn } = require('../popup-platforms');
+const platformsManifest = require('../platforms.json');
+
+// ============================================
+// validatePopupPlatforms
+// ============================================
+
+test('platforms.json has no rejected entries', () => {
+    const { platforms, rejected } = validatePopupPlatforms(platformsManifest);
+
+    assert.deepEqual(rejected, []);
+    assert.equal(platforms.length, platformsManifest.platforms.filter(p => p.enabled !== false).length);
+});
+
+test('validatePopupPlatforms rejects entries without a name or http(s) url, and duplicates', () => {
+    const { platforms, rejected } = validatePopupPlatforms({
+        platforms: [
+            { name: 'Good', url: 'https://good.example' },
+            { url: 'https://nameless.example' },
+            { name: 'Script', url: 'javascript:alert(1)' },
+            { name: 'good', url: 'https://copy.example' },
+            { name: 'Odd', url: 'https://odd.example', enabled: 'yes', weight: -1 },
+            null
+        ]
+    });
+
+    assert.deepEqual(platforms.map(p => p.name), ['Good']);
+    assert.deepEqual(rejected.map(r => r.index), [1, 2, 3, 4, 5]);
+    assert.match(rejected[2].errors[0], /duplicate/);
+    assert.equal(rejected[3].errors.length, 2);
+});
+
+test('validatePopupPlatforms drops disabled platforms and puts ordered ones before the rotation', () => {
+    const { platforms, disabled } = validatePopupPlatforms({
+        platforms: [
+            { name: 'Rotating', url: 'https://a.example' },
+            { name: 'Second', url: 'https://b.example', order: 2 },
+            { name: 'First', url: 'https://d.example', order: 1 },
+            { name: 'Off', url: 'https://e.example', order: 0, enabled: false }
+        ]
+    }, () => 0.5);
+
+    assert.deepEqual(platforms.map(p => p.name), ['First', 'Second', 'Rotating']);
+    assert.equal(disabled, 1);
+});
+
+test('validatePopupPlatforms rotates unordered platforms in proportion to their weight', () => {
+    const manifest = {
+        platforms: [
+            { name: 'Light', url: 'https://a.example', weight: 1 },
+            { name: 'Heavy', url: 'https://b.example', weight: 3 },
+            { name: 'Never', url: 'https://c.example', weight: 0 }
+        ]
+    };
+
+    // Small deterministic LCG so the shares don't depend on Math.random
+    let state = 12345;
+    const random = () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+
+    const firsts = { Light: 0, Heavy: 0, Never: 0 };
+    for (let run = 0; run < 4000; run++) {
+        const names = validatePopupPlatforms(manifest, random).platforms.map(p => p.name);
+        assert.equal(names[2], 'Never');
+        firsts[names[0]]++;
+    }
+
+    // Heavy should lead about 3 runs in 4
+    assert.ok(firsts.Heavy / 4000 > 0.7 && firsts.Heavy / 4000 < 0.8, JSON.stringify(firsts));
+});
+
+test('validatePopupPlatforms reports a file without a platforms list', () => {
+    const { platforms, rejected } = validatePopupPlatforms({ buttons: [] });
+
+    assert.deepEqual(platforms, []);
+    assert.equal(rejected.length, 1);
+});
+
+test('validatePopupPlatforms falls back to the default link settings when they are invalid', () => {
+    const { settings, rejected } = validatePopupPlatforms({
+        openIn: 'popup-window',
+        params: { utm_source: 'x' },
+        platforms: [{ name: 'Good', url: 'https://good.example', params: ['ref'] }]
+    });
+
+    assert.deepEqual(settings, { openIn: 'new-tab', params: {} });
+    assert.deepEqual(rejected.map(r => r.index), [-1, 0]);
+});
+
+// ============================================
+// Outbound links
+// ============================================
+
+test('getPlatformUrl appends tracking parameters without replacing ones in the url', () => {
+    const settings = { openIn: 'new-tab', params: { utm_source: 'poprede', ref: 'global' } };
+    const platform = { url: 'https://casino.example/signup?utm_source=own', params: { ref: 'abc 1' } };
+
+    const url = new URL(getPlatformUrl(platform, null, settings));
+
+    assert.equal(url.origin + url.pathname, 'https://casino.example/signup');
+    assert.equal(url.searchParams.get('utm_source'), 'own');
+    assert.equal(url.searchParams.get('ref'), 'abc 1');
+});
+
+test('getPlatformOpenIn uses the platform override, then the file setting', () => {
+    const settings = { openIn: 'same-tab', params: {} };
+
+    assert.equal(getPlatformOpenIn({ openIn: 'new-tab' }, settings), 'new-tab');
+    assert.equal(getPlatformOpenIn({ openIn: null }, settings), 'same-tab');
+});
+
+test('getPlatformUrl links straight to the game on platforms with a gameUrl template', () => {
+    const settings = { openIn: 'new-tab', params: { utm_source: 'poprede' } };
+    const game = { id: 'fortune-tiger', provider: 'PG SOFT', title: 'Fortune Tiger' };
+    const direct = { url: 'https://casino.example/', gameUrl: '{platform}/game/{slug}?studio={provider}' };
+    const plain = { url: 'https://other.example/' };
+
+    assert.equal(getPlatformUrl(direct, game, settings), 'https://casino.example/game/fortune-tiger?studio=PG+SOFT&utm_source=poprede');
+    assert.equal(getPlatformUrl(direct, null, settings), 'https://casino.example/?utm_source=poprede');
+    assert.equal(getPlatformUrl(plain, game, settings), 'https://other.example/?utm_source=poprede');
+});
+
+test('getPlatformUrl sends games without a catalog entry to the platform url', () => {
+    const settings = { openIn: 'new-tab', params: {} };
+    const game = { id: 'pg-soft-00a551e721df', provider: 'PG SOFT', title: null };
+    const direct = { url: 'https://casino.example/', gameUrl: '{platform}/game/{slug}' };
+
+    assert.equal(getPlatformUrl(direct, game, settings), 'https://casino.example/');
+});
+
+test('validatePopupPlatforms rejects gameUrl templates without {slug}', () => {
+    const { platforms, rejected } = validatePopupPlatforms({
+        platforms: [
+            { name: 'Direct', url: 'https://a.example', gameUrl: '{platform}/game/{slug}' },
+            { name: 'Broken', url: 'https://b.example', gameUrl: '{platform}/lobby' }
+        ]
+    });
+
+    assert.deepEqual(platforms.map(p => p.gameUrl), ['{platform}/game/{slug}']);
+    assert.deepEqual(rejected.map(r => r.name), ['Broken']);
+});
@@ -0,0 +1,198 @@
+/**
+ * RTP Engine Tests
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createEngine, stringToHash, getSeededRandomInt, preHashSeed, PRE_HASH, DEFAULTS } = require('../rtp-engine');
+const { getGameSlug } = require('../game-data');
+const PROVIDER_IMAGES = require('../provider_image_lists');
+
+// ============================================
+// getTimeSeed
+// ============================================
+
+test('getTimeSeed is stable inside a window and changes at its boundary', () => {
+    const engine = createEngine({ windowMinutes: 10 });
+    const start = engine.getTimeSeed(Date.UTC(2025, 5, 15, 12, 0, 0, 0));
+    const end = engine.getTimeSeed(Date.UTC(2025, 5, 15, 12, 9, 59, 999));
+    const next = engine.getTimeSeed(Date.UTC(2025, 5, 15, 12, 10, 0, 0));
+
+    assert.equal(start, end);
+    assert.equal(next - start, 1);
+});
+
+test('getTimeSeed changes every minute with the default window', () => {
+    const engine = createEngine();
+    const a = engine.getTimeSeed(Date.UTC(2025, 5, 15, 12, 0, 59, 999));
+    const b = engine.getTimeSeed(Date.UTC(2025, 5, 15, 12, 1, 0, 0));
+
+    assert.deepEqual(DEFAULTS.updateWindow, { minutes: 1 });
+    assert.equal(b - a, 1);
+});
+
+test('updateWindow accepts seconds, minutes and hours', () => {
+    assert.equal(createEngine({ updateWindow: { seconds: 30 } }).windowMs, 30 * 1000);
+    assert.equal(createEngine({ updateWindow: { hours: 1, minutes: 30 } }).windowMs, 90 * 60 * 1000);
+    assert.equal(createEngine({ windowMinutes: 10 }).windowMs, 10 * 60 * 1000);
+
+    const engine = createEngine({ updateWindow: { seconds: 30 } });
+    const a = engine.getTimeSeed(Date.UTC(2025, 5, 15, 12, 0, 29, 999));
+    const b = engine.getTimeSeed(Date.UTC(2025, 5, 15, 12, 0, 30, 0));
+    assert.equal(b - a, 1);
+    assert.equal(engine.getTimeUntilNextUpdate(Date.UTC(2025, 5, 15, 12, 0, 20)), 10 * 1000);
+});
+
+test('createEngine rejects an empty update window', () => {
+    assert.throws(() => createEngine({ updateWindow: {} }), /updateWindow/);
+});
+
+test('getTimeSeed never repeats across month and year boundaries', () => {
+    const engine = createEngine();
+    const boundaries = [
+        Date.UTC(2025, 0, 31, 23, 59),
+        Date.UTC(2025, 1, 28, 23, 59),
+        Date.UTC(2024, 1, 29, 23, 59),
+        Date.UTC(2025, 11, 31, 23, 59)
+    ];
+
+    boundaries.forEach(timestamp => {
+        const before = engine.getTimeSeed(timestamp);
+        const after = engine.getTimeSeed(timestamp + 60 * 1000);
+        assert.equal(after - before, 1, new Date(timestamp).toISOString());
+    });
+
+    const seen = new Set();
+    for (let minute = 0; minute < 60 * 24 * 62; minute++) {
+        seen.add(engine.getTimeSeed(Date.UTC(2025, 0, 1) + minute * 60 * 1000));
+    }
+    assert.equal(seen.size, 60 * 24 * 62);
+});
+
+test('getTimeSeed accepts Date objects and ignores the local timezone', () => {
+    const engine = createEngine();
+    const instant = Date.UTC(2025, 5, 15, 3, 30);
+
+    assert.equal(engine.getTimeSeed(new Date(instant)), engine.getTimeSeed(instant));
+    assert.equal(engine.getTimeSeed(new Date('2025-06-15T00:30:00-03:00')), engine.getTimeSeed(instant));
+});
+
+test('getTimeUntilNextUpdate counts down to the window boundary', () => {
+    const engine = createEngine({ windowMinutes: 10 });
+
+    assert.equal(engine.getTimeUntilNextUpdate(Date.UTC(2025, 5, 15, 12, 0, 0, 0)), 10 * 60 * 1000);
+    assert.equal(engine.getTimeUntilNextUpdate(Date.UTC(2025, 5, 15, 12, 9, 59, 0)), 1000);
+});
+
+test('injected clock drives the seed and generated values', () => {
+    let time = Date.UTC(2025, 5, 15, 12, 0, 30);
+    const engine = createEngine({ now: () => time });
+    const reference = createEngine();
+
+    assert.equal(engine.getTimeSeed(), reference.getTimeSeed(time));
+    assert.equal(engine.generateRandomRTP('fortune-tiger'),
+        reference.generateRandomRTP('fortune-tiger', reference.getTimeSeed(time)));
+
+    const firstMultiplier = engine.generateRandomMultiplier('fortune-tiger');
+    time += 20 * 1000; // Same window
+    assert.deepEqual(engine.generateRandomMultiplier('fortune-tiger'), firstMultiplier);
+    assert.equal(engine.getTimeUntilNextUpdate(), 10 * 1000);
+});
+
+// ============================================
+// stringToHash
+// ============================================
+
+test('stringToHash has no collisions across the current game ids', () => {
+    const ids = [];
+    for (const [provider, images] of Object.entries(PROVIDER_IMAGES)) {
+        images.forEach(imageName => ids.push(getGameSlug(provider, imageName)));
+    }
+
+    const hashes = new Map();
+    ids.forEach(id => {
+        const hash = stringToHash(id);
+        assert.ok(!hashes.has(hash), `${id} collides with ${hashes.get(hash)}`);
+        hashes.set(hash, id);
+    });
+
+    assert.ok(ids.length > 600);
+    assert.equal(new Set(ids).size, ids.length);
+});
+
+test('stringToHash returns a non-negative 32-bit integer', () => {
+    ['', 'a', 'fortune-tiger', 'x'.repeat(500)].forEach(str => {
+        const hash = stringToHash(str);
+        assert.ok(Number.isInteger(hash));
+        assert.ok(hash >= 0 && hash <= 2 ** 31);
+    });
+});
+
+// ============================================
+// getSeededRandomInt
+// ============================================
+
+test('getSeededRandomInt stays inside [min, max] and reaches both bounds', () => {
+    const seen = new Set();
+    for (let seed = 0; seed < 5000; seed++) {
+        const value = getSeededRandomInt(seed * 7919, 30, 99);
+        assert.ok(value >= 30 && value <= 99, `seed ${seed} gave ${value}`);
+        seen.add(value);
+    }
+
+    assert.ok(seen.has(30));
+    assert.ok(seen.has(99));
+});
+
+test('preHashSeed stays exact for the large seeds of seconds-level windows', () => {
+    const exact = seed => Number(
+        (BigInt(seed) * BigInt(PRE_HASH.multiplier) + BigInt(PRE_HASH.increment)) % BigInt(PRE_HASH.modulus)
+    );
+    const engine = createEngine({ updateWindow: { seconds: 30 } });
+    const timeSeed = engine.getTimeSeed(Date.UTC(2100, 0, 1));
+    const hashes = new Set();
+
+    Object.keys(PROVIDER_IMAGES).slice(0, 3).forEach(provider => {
+        PROVIDER_IMAGES[provider].slice(0, 20).forEach(imageName => {
+            const gameSeed = engine.getGameSeed(getGameSlug(provider, imageName), timeSeed);
+
+            // The multiplier seed (x11) times PRE_HASH.multiplier is past 2^53 here
+            assert.ok(gameSeed * 11 * PRE_HASH.multiplier > Number.MAX_SAFE_INTEGER);
+            [gameSeed, gameSeed * 7, gameSeed * 11].forEach(seed => {
+                assert.equal(preHashSeed(seed), exact(seed));
+                hashes.add(preHashSeed(seed));
+            });
+        });
+    });
+
+    // Precision loss used to collapse every value onto multiples of 32
+    assert.ok([...hashes].some(hash => hash % 32 !== 0));
+});
+
+test('getSeededRandomInt is deterministic', () => {
+    assert.equal(getSeededRandomInt(123456, 0, 8), getSeededRandomInt(123456, 0, 8));
+});
+
+test('getSeededRandomInt handles a single-value range', () => {
+    assert.equal(getSeededRandomInt(42, 5, 5), 5);
+});
+
+// ============================================
+// generateRandomRTP / generateRandomMultiplier
+// ============================================
+
+test('generated RTP and multiplier respect the engine options', () => {
+    const multipliers = [{ value: '2X', type: 'low' }, { value: '4X', type: 'high' }];
+    const engine = createEngine({ ranges: { min: 40, max: 60 }, multipliers });
+
+    for (let seed = 0; seed < 200; seed++) {
+        const rtp = engine.generateRandomRTP('fortune-tiger', seed);
+        assert.ok(rtp >= 40 && rtp <= 60);
+
+        const multiplier = engine.generateRandomMultiplier('fortune-tiger', seed);
+        assert.ok(multipliers.some(m => m.value === multiplier.value));
+        assert.ok(multiplier.text === 'Manual' || multiplier.text === 'Auto');
+    }
+});
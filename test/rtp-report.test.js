@@ -0,0 +1,44 @@
+/**
+ * RTP Report Tests
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildReport } = require('../scripts/rtp-report');
+
+const HOUR = 60 * 60 * 1000;
+const FROM = Date.UTC(2025, 0, 1);
+
+test('buildReport covers every window and game in the range', () => {
+    const report = buildReport({ from: FROM, to: FROM + HOUR });
+
+    assert.equal(report.range.windows, 60);
+    assert.ok(report.range.games > 600);
+    assert.equal(report.range.values, report.range.windows * report.range.games);
+    assert.equal(report.distribution.buckets.reduce((sum, b) => sum + b.count, 0), report.range.values);
+    assert.equal(report.collisions.seed, 0);
+    assert.deepEqual(report.collisions.permanentPairs, []);
+});
+
+test('buildReport flags the pre-hash period once the range exceeds it', () => {
+    const gameIds = ['fortune-tiger', 'sweet-bonanza'];
+    const short = buildReport({ from: FROM, to: FROM + 24 * HOUR, gameIds });
+    const long = buildReport({ from: FROM, to: FROM + 5 * 24 * HOUR, gameIds });
+
+    assert.equal(short.period.windows, 5832);
+    assert.equal(short.period.withinRange, false);
+    assert.equal(long.period.withinRange, true);
+    assert.ok(long.flags.some(flag => flag.includes('repeat every 5832 windows')));
+});
+
+test('buildReport reports permanent pre-hash collisions between games', () => {
+    // 0 and 233280 differ as seeds but squash to the same pre-hash state
+    const report = buildReport({ from: FROM, to: FROM + HOUR, gameIds: [0, 233280] });
+
+    assert.equal(report.collisions.seed, 0);
+    assert.equal(report.collisions.preHashState, 60);
+    assert.deepEqual(report.collisions.permanentPairs, [[0, 233280]]);
+    assert.ok(report.flags.some(flag => flag.includes('share the same pre-hash state')));
+});
@@ -0,0 +1,29 @@
+/**
+ * Service Worker Tests
+ * Run with: node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pickLruEvictions } = require('../sw');
+
+const index = {
+    'images/a.jpg': { size: 300, lastUsed: 3 },
+    'images/b.jpg': { size: 100, lastUsed: 1 },
+    'images/c.jpg': { size: 200, lastUsed: 2 },
+    'images/d.jpg': { size: 50, lastUsed: 4 }
+};
+
+test('pickLruEvictions keeps everything under the limits', () => {
+    assert.deepEqual(pickLruEvictions(index, { maxEntries: 4, maxBytes: 650 }), []);
+});
+
+test('pickLruEvictions drops the least recently used images first', () => {
+    assert.deepEqual(pickLruEvictions(index, { maxEntries: 2, maxBytes: 10000 }), ['images/b.jpg', 'images/c.jpg']);
+});
+
+test('pickLruEvictions evicts until the byte cap fits', () => {
+    assert.deepEqual(pickLruEvictions(index, { maxEntries: 10, maxBytes: 400 }), ['images/b.jpg', 'images/c.jpg']);
+    assert.deepEqual(pickLruEvictions(index, { maxEntries: 10, maxBytes: 349 }), ['images/b.jpg', 'images/c.jpg', 'images/a.jpg']);
+});